@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const { ethers } = require('ethers');
+const auth = require('../../middleware/auth');
 const ActionService = require('../../services/ActionService');
+const BlockchainService = require('../../services/blockchain.service');
+const RevokeBundleService = require('../../services/revokeBundle.service');
+const Wallet = require('../../models/Wallet');
 
 /**
  * @route   POST /api/v1/actions/revoke
@@ -17,6 +22,14 @@ router.post('/revoke', async (req, res) => {
         return res.status(400).json({ msg: `Bad Request: Missing required field '${field}'.` });
       }
     }
+    for (const [field, value] of Object.entries({ walletAddress, tokenAddress, spender })) {
+      if (!ethers.isAddress(value)) {
+        return res.status(400).json({ msg: `Bad Request: '${field}' is not a valid address.` });
+      }
+    }
+    if (!BlockchainService.isSupportedChain(chain)) {
+      return res.status(400).json({ msg: `Bad Request: Unsupported chain '${chain}'.` });
+    }
 
     const action = await ActionService.logRevokeAction(req.body);
     res.status(201).json({ msg: 'Revoke action logged successfully.', data: action });
@@ -30,4 +43,40 @@ router.post('/revoke', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/v1/actions/revoke-bundle
+ * @desc    Builds a single bundle revoking the selected approval findings of a wallet's latest report,
+ *          as an EIP-5792 wallet_sendCalls request, a Multicall3 batch and a Safe Transaction Builder file.
+ *          Body: { walletId, findingIds? } - all revocable findings are included when findingIds is omitted.
+ * @access  Private
+ */
+router.post('/revoke-bundle', auth, async (req, res) => {
+  try {
+    const { walletId, findingIds } = req.body;
+    if (!walletId) {
+      return res.status(400).json({ msg: "Bad Request: Missing required field 'walletId'." });
+    }
+    if (findingIds !== undefined && !Array.isArray(findingIds)) {
+      return res.status(400).json({ msg: "Bad Request: 'findingIds' must be an array." });
+    }
+
+    const wallet = await Wallet.findById(walletId);
+    if (!wallet) {
+      return res.status(404).json({ msg: 'Wallet not found' });
+    }
+    if (wallet.userId.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'User not authorized for this wallet' });
+    }
+
+    const bundle = await RevokeBundleService.buildForWallet(wallet, findingIds);
+    if (!bundle) {
+      return res.status(404).json({ msg: 'No report found for this wallet yet. Please try again later.' });
+    }
+    res.json(bundle);
+  } catch (error) {
+    console.error('Error building revoke bundle:', error.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
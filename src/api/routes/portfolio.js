@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const Wallet = require('../../models/Wallet');
+const PortfolioService = require('../../services/portfolio.service');
+
+// @route   GET api/v1/portfolio
+// @desc    Get the combined portfolio of all the user's wallets, with per-chain totals
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const portfolio = await PortfolioService.getUserPortfolio(req.user.id);
+    res.json(portfolio);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/v1/portfolio/:walletId
+// @desc    Get the portfolio of a specific wallet
+// @access  Private
+router.get('/:walletId', auth, async (req, res) => {
+  try {
+    const wallet = await Wallet.findById(req.params.walletId);
+    if (!wallet) {
+      return res.status(404).json({ msg: 'Wallet not found' });
+    }
+    if (wallet.userId.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'User not authorized for this wallet' });
+    }
+
+    const portfolio = await PortfolioService.getWalletPortfolio(wallet);
+    res.json(portfolio);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
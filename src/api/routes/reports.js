@@ -1,9 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const auth = require('../../middleware/auth');
 const Report = require('../../models/Report');
 const Wallet = require('../../models/Wallet');
 const LabelService = require('../../services/label.service');
+const ReportDiffService = require('../../services/reportDiff.service');
+const ReportExportService = require('../../services/reportExport.service');
 
 // @route   GET api/v1/reports/wallet/:walletId
 // @desc    Get the latest report for a specific wallet
@@ -74,4 +77,148 @@ router.get('/wallet/:walletId', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/v1/reports/wallet/:walletId/history
+// @desc    Get the risk score over time and the list of report snapshots for a wallet
+// @access  Private
+router.get('/wallet/:walletId/history', auth, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 90, 365);
+
+    const wallet = await Wallet.findById(walletId);
+    if (!wallet) {
+      return res.status(404).json({ msg: 'Wallet not found' });
+    }
+    if (wallet.userId.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'User not authorized for this wallet' });
+    }
+
+    const reports = await Report.find({ walletId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('scanRunId riskScore summary carriedOverSections createdAt details.riskBreakdown')
+      .lean();
+
+    const snapshots = reports.map(report => ({
+      reportId: report._id,
+      scanRunId: report.scanRunId,
+      createdAt: report.createdAt,
+      riskScore: report.riskScore,
+      summary: report.summary,
+      factors: ((report.details && report.details.riskBreakdown) || []).map(({ factor, label, weight, points }) => ({ factor, label, weight, points })),
+      carriedOverSections: report.carriedOverSections || [],
+    }));
+
+    // Oldest first, ready to plot
+    const scores = snapshots.map(({ createdAt, riskScore }) => ({ createdAt, riskScore })).reverse();
+    const latest = snapshots[0];
+    const previous = snapshots[1];
+
+    res.json({
+      walletId,
+      scores,
+      change: latest && previous ? latest.riskScore - previous.riskScore : null,
+      snapshots,
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/v1/reports/wallet/:walletId/diff?from=&to=
+// @desc    Get what changed between two report snapshots of a wallet. `to` defaults to the latest
+//          snapshot and `from` to the one before `to`.
+// @access  Private
+router.get('/wallet/:walletId/diff', auth, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const { from, to } = req.query;
+
+    if ((from && !mongoose.Types.ObjectId.isValid(from)) || (to && !mongoose.Types.ObjectId.isValid(to))) {
+      return res.status(400).json({ msg: 'from and to must be report IDs' });
+    }
+
+    const wallet = await Wallet.findById(walletId);
+    if (!wallet) {
+      return res.status(404).json({ msg: 'Wallet not found' });
+    }
+    if (wallet.userId.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'User not authorized for this wallet' });
+    }
+
+    const toReport = to
+      ? await Report.findOne({ _id: to, walletId }).lean()
+      : await Report.findOne({ walletId }).sort({ createdAt: -1 }).lean();
+    if (!toReport) {
+      return res.status(404).json({ msg: 'Report not found for this wallet' });
+    }
+
+    const fromReport = from
+      ? await Report.findOne({ _id: from, walletId }).lean()
+      : await Report.findOne({ walletId, createdAt: { $lt: toReport.createdAt } }).sort({ createdAt: -1 }).lean();
+    if (!fromReport) {
+      return res.status(404).json({ msg: from ? 'Report not found for this wallet' : 'No earlier report to compare with yet.' });
+    }
+    if (fromReport.createdAt > toReport.createdAt) {
+      return res.status(400).json({ msg: 'from must be an earlier report than to' });
+    }
+
+    res.json(ReportDiffService.diff(fromReport, toReport));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/v1/reports/wallet/:walletId/export?format=pdf|csv|json&reportId=
+// @desc    Download the latest report, or the snapshot `reportId`, as a PDF, a CSV of findings or JSON
+// @access  Private
+router.get('/wallet/:walletId/export', auth, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const format = (req.query.format || 'json').toLowerCase();
+    const { reportId } = req.query;
+
+    if (!['pdf', 'csv', 'json'].includes(format)) {
+      return res.status(400).json({ msg: 'format must be pdf, csv or json' });
+    }
+    if (reportId && !mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({ msg: 'reportId must be a report ID' });
+    }
+
+    const wallet = await Wallet.findById(walletId);
+    if (!wallet) {
+      return res.status(404).json({ msg: 'Wallet not found' });
+    }
+    if (wallet.userId.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'User not authorized for this wallet' });
+    }
+
+    const report = reportId
+      ? await Report.findOne({ _id: reportId, walletId }).lean()
+      : await Report.findOne({ walletId }).sort({ createdAt: -1 }).lean();
+    if (!report) {
+      return res.status(404).json({ msg: 'No report found for this wallet yet. Please try again later.' });
+    }
+
+    const filename = `wallet-report-${wallet.address.toLowerCase()}-${new Date(report.createdAt).toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'pdf') {
+      res.type('application/pdf').send(await ReportExportService.toPdf(report, wallet));
+    } else if (format === 'csv') {
+      res.type('text/csv').send(ReportExportService.toCsv(report, wallet));
+    } else {
+      res.json(ReportExportService.toJson(report, wallet));
+    }
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
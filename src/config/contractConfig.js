@@ -0,0 +1,192 @@
+/**
+ * Addresses of well-known infrastructure contracts, per chain.
+ * Keys are the internal chain names used throughout the app (see CHAIN_ID_MAP).
+ */
+
+/**
+ * Uniswap's canonical Permit2 contract. Deployed with CREATE2 at the same address on every
+ * EVM chain except zkSync Era, whose different address derivation gives it its own.
+ * Source: https://github.com/Uniswap/permit2#deployment-addresses
+ */
+const PERMIT2_ADDRESSES = {
+  ethereum: '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+  polygon: '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+  arbitrum: '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+  base: '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+  zksync: '0x0000000000225e31D15943971F47aD3022F714Fa',
+};
+
+/**
+ * Multicall3, used to batch calls into a single transaction. Same CREATE2 story as Permit2.
+ * Source: https://www.multicall3.com/deployments
+ */
+const MULTICALL3_ADDRESSES = {
+  ethereum: '0xcA11bde05977b3631167028862bE2a173976CA11',
+  polygon: '0xcA11bde05977b3631167028862bE2a173976CA11',
+  arbitrum: '0xcA11bde05977b3631167028862bE2a173976CA11',
+  base: '0xcA11bde05977b3631167028862bE2a173976CA11',
+  zksync: '0xF9cda624FBC7e059355ce98a31693d299FACd963',
+};
+
+/**
+ * USD stablecoins (native and bridged), valued at $1 when no market price is available.
+ */
+const STABLECOIN_ADDRESSES = {
+  ethereum: [
+    '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
+    '0xdAC17F958D2ee523a2206206994597C13D831ec7', // USDT
+    '0x6B175474E89094C44Da98b954EedeAC495271d0F', // DAI
+  ],
+  polygon: [
+    '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', // USDC
+    '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', // USDC.e
+    '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', // USDT
+    '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', // DAI
+  ],
+  arbitrum: [
+    '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', // USDC
+    '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8', // USDC.e
+    '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', // USDT
+    '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', // DAI
+  ],
+  base: [
+    '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // USDC
+    '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', // USDbC
+    '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', // DAI
+  ],
+  zksync: [
+    '0x1d17CBcF0D6D143135aE902365D2E5e2A16538D4', // USDC
+    '0x3355df6D4c9C3035724Fd0e3914dE96A5a83aaf4', // USDC.e
+    '0x493257fD37EDB34451f62EDf8D2a0C418852bA4C', // USDT
+  ],
+};
+
+/**
+ * Wrapped native token of each chain (WETH, or WPOL on Polygon), used as a DEX pricing quote.
+ */
+const WRAPPED_NATIVE_ADDRESSES = {
+  ethereum: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  polygon: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+  arbitrum: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+  base: '0x4200000000000000000000000000000000000006',
+  zksync: '0x5AEa5775959fBC2557Cc8789bC1bf90A239D9a91',
+};
+
+/**
+ * Native USDC of each chain, used as a DEX pricing quote.
+ */
+const USDC_ADDRESSES = {
+  ethereum: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+  polygon: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
+  arbitrum: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+  base: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  zksync: '0x1d17CBcF0D6D143135aE902365D2E5e2A16538D4',
+};
+
+/**
+ * Chainlink token/USD price feeds, keyed by the token they price.
+ * Source: https://docs.chain.link/data-feeds/price-feeds/addresses
+ */
+const CHAINLINK_USD_FEEDS = {
+  ethereum: {
+    '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2': '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', // WETH (ETH/USD)
+    '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599': '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c', // WBTC (BTC/USD)
+    '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48': '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6', // USDC
+    '0xdAC17F958D2ee523a2206206994597C13D831ec7': '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D', // USDT
+    '0x6B175474E89094C44Da98b954EedeAC495271d0F': '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9', // DAI
+    '0x514910771AF9Ca656af840dff83E8264EcF986CA': '0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c', // LINK
+  },
+  polygon: {
+    '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270': '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0', // WPOL (MATIC/USD)
+    '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619': '0xF9680D99D6C9589e2a93a78A04A279e509205945', // WETH (ETH/USD)
+    '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359': '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7', // USDC
+    '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174': '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7', // USDC.e
+    '0xc2132D05D31c914a87C6611C10748AEb04B58e8F': '0x0A6513e40db6EB1b165753AD52E80663aeA50545', // USDT
+    '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063': '0x4746DeC9e833A82EC7C2C1356372CcF2cfcD2F3D', // DAI
+  },
+  arbitrum: {
+    '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1': '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', // WETH (ETH/USD)
+    '0xaf88d065e77c8cC2239327C5EDb3A432268e5831': '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3', // USDC
+    '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8': '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3', // USDC.e
+    '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9': '0x3f3f5dF88dC9F13eac63DF89EC16ef6e7E25DdE7', // USDT
+    '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1': '0xc5C8E77B397E531B8EC06BFb0048328B30E9eCfB', // DAI
+    '0x912CE59144191C1204E64559FE8253a0e49E6548': '0xb2A824043730FE05F3DA2efaFa1CBbe83fa548D6', // ARB
+  },
+  base: {
+    '0x4200000000000000000000000000000000000006': '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70', // WETH (ETH/USD)
+    '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913': '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B', // USDC
+    '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb': '0x591e79239a7d679378eC8c847e5038150364C78F', // DAI
+  },
+  zksync: {
+    '0x5AEa5775959fBC2557Cc8789bC1bf90A239D9a91': '0x6D41d1dc818112880b40e26BD6FD347E41008eDA', // WETH (ETH/USD)
+    '0x1d17CBcF0D6D143135aE902365D2E5e2A16538D4': '0x1824D297C6d6D311A204495277B63e943C2D376E', // USDC
+  },
+};
+
+/**
+ * Uniswap V2 and V3 factories, used to find pools for DEX-based pricing.
+ * Source: https://docs.uniswap.org/contracts/v3/reference/deployments
+ */
+const UNISWAP_V2_FACTORIES = {
+  ethereum: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+  polygon: '0x9e5A52f57b3038F1B8EeE45F28b3C1967e22799C',
+  arbitrum: '0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9',
+  base: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+};
+
+/**
+ * Uniswap V2 routers, used to simulate buys and sells (honeypot checks). Routers are not
+ * deployed where no V2 factory is listed.
+ * Source: https://docs.uniswap.org/contracts/v2/reference/smart-contracts/v2-deployments
+ */
+const UNISWAP_V2_ROUTERS = {
+  ethereum: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+  polygon: '0xedf6066a2b290C185783862C7F4776A2C8077AD1',
+  arbitrum: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+  base: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+};
+
+const UNISWAP_V3_FACTORIES = {
+  ethereum: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+  polygon: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+  arbitrum: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+  base: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+  zksync: '0x8FdA5a7a8dCA67BBcDd10F02Fa0649A937215422',
+};
+
+/**
+ * Uniswap V3 NonfungiblePositionManager, which mints concentrated-liquidity positions as ERC721 tokens.
+ * Source: https://docs.uniswap.org/contracts/v3/reference/deployments
+ */
+const UNISWAP_V3_POSITION_MANAGERS = {
+  ethereum: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+  polygon: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+  arbitrum: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+  base: '0x03a520b32C04BF3bEEf7BEb72E919cf822Ed34f1',
+  zksync: '0x0616e5762c1E7Dc3723c50663dF10a162D690a86',
+};
+
+/**
+ * LP lockers holding liquidity on behalf of project teams (Unicrypt, Team Finance). LP tokens
+ * held here or burned to the dead addresses count as the pool's locked share.
+ */
+const LP_LOCKER_ADDRESSES = {
+  ethereum: [
+    '0x663A5C229c09b049E36dCc11a9B0d4a8Eb9db214', // Unicrypt V2
+    '0xE2fE530C047f2d85298b07D9333C05737f1435fB', // Team Finance
+  ],
+};
+
+module.exports = {
+  PERMIT2_ADDRESSES,
+  MULTICALL3_ADDRESSES,
+  STABLECOIN_ADDRESSES,
+  WRAPPED_NATIVE_ADDRESSES,
+  USDC_ADDRESSES,
+  CHAINLINK_USD_FEEDS,
+  UNISWAP_V2_FACTORIES,
+  UNISWAP_V2_ROUTERS,
+  UNISWAP_V3_FACTORIES,
+  UNISWAP_V3_POSITION_MANAGERS,
+  LP_LOCKER_ADDRESSES,
+};
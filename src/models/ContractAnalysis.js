@@ -3,19 +3,40 @@ const mongoose = require('mongoose');
 const AnalysisDetailSchema = new mongoose.Schema({
   isProxy: { type: Boolean, default: false },
   implementationAddress: { type: String, lowercase: true },
+  proxyType: { type: String }, // eip1167, eip1967, uups, beacon, zeppelinos, eip1822 or safe
+  proxyAdmin: { type: String, lowercase: true }, // The address allowed to upgrade the proxy
+  proxyAdminOwner: { type: String, lowercase: true }, // The owner of the admin, when the admin is a ProxyAdmin contract
+  beaconAddress: { type: String, lowercase: true },
   sourceCodeVerified: { type: Boolean, required: true },
   risks: {
     HIGH: [String],
     MEDIUM: [String],
     LOW: [String],
   },
-  honeypotIndicators: {
-    hiddenApprove: Boolean,
-    hardcodedAddress: Boolean,
-    obfuscatedLogic: Boolean,
-    unnecessarySafeMath: Boolean,
-    details: [String],
-  },
+  // Every rule that fired, stamped with the rule and rule set version (see RuleEngineService)
+  findings: [{
+    _id: false,
+    ruleId: String,
+    ruleVersion: Number,
+    rulesetVersion: String,
+    name: String,
+    severity: String,
+    weight: Number,
+    description: String,
+    remediation: String,
+    file: String, // Source findings
+    line: Number,
+    snippet: String,
+    selector: String, // Bytecode findings
+    opcode: String,
+    slot: String,
+  }],
+  // One flag per honeypot rule, named after the rule, plus the details of those that fired
+  honeypotIndicators: { type: mongoose.Schema.Types.Mixed },
+  // Result of the buy/transfer/sell simulation (see HoneypotService.simulate)
+  honeypotSimulation: { type: mongoose.Schema.Types.Mixed },
+  // Privileged functions and who controls them (see PrivilegeService.analyze)
+  privileges: { type: mongoose.Schema.Types.Mixed },
   aiSummary: { type: String },
   reason: { type: String }, // For unverified contracts or other notes
 }, { _id: false });
@@ -14,6 +14,7 @@ const JobSchema = new mongoose.Schema({
       'analyze_contracts',
       'analyze_activity',
       'analyze_lp_stake',
+      'watch_upgrades',
       'full_scan',
       'fetch_transactions',
     ],
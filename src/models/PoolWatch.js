@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * A Uniswap V2-style pool watched for rug pulls on behalf of the wallets exposed to it,
+ * with the last on-chain snapshot the rug monitor compared against.
+ */
+const PoolWatchSchema = new mongoose.Schema({
+  // The pair (LP token) contract
+  pairAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  chain: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  token0: {
+    type: String,
+    lowercase: true,
+  },
+  token1: {
+    type: String,
+    lowercase: true,
+  },
+  // The side of the pool holding the valuable asset (wrapped native or a stablecoin); a rug drains it
+  quoteToken: {
+    type: String,
+    lowercase: true,
+  },
+  // The creator of the project token, whose LP burns are watched
+  deployer: {
+    type: String,
+    lowercase: true,
+  },
+  // The wallets holding liquidity or tokens in this pool
+  walletIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+  }],
+  // The last snapshot, as decimal strings since the values exceed Number precision
+  lastSnapshot: {
+    reserve0: { type: String },
+    reserve1: { type: String },
+    totalSupply: { type: String },
+    deployerLpBalance: { type: String },
+    lockedLpBalance: { type: String },
+    blockNumber: { type: Number },
+    checkedAt: { type: Date },
+  },
+  // The highest quote reserve seen since the watch started or the last drain alert, as a decimal
+  // string. Drains are measured from it, so a pool emptied over many checks is still reported.
+  peakQuoteReserve: {
+    type: String,
+  },
+  // The latest alerts raised for this pool, newest last (capped by the rug monitor)
+  alerts: [{
+    type: { type: String, enum: ['reserve_drain', 'deployer_lp_burn', 'locked_lp_removed'] },
+    details: { type: mongoose.Schema.Types.Mixed },
+    blockNumber: { type: Number },
+    detectedAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+}, {
+  timestamps: true, // Adds createdAt and updatedAt automatically
+});
+
+// Each pool is watched once per chain, whichever wallets are exposed to it
+PoolWatchSchema.index({ pairAddress: 1, chain: 1 }, { unique: true });
+
+module.exports = mongoose.model('PoolWatch', PoolWatchSchema);
@@ -1,11 +1,19 @@
 const mongoose = require('mongoose');
 
+/**
+ * An immutable snapshot of a wallet's analysis, written once per scan run. The history of a
+ * wallet is the list of its snapshots; old ones are pruned by ScanRunService.applyRetention.
+ */
 const ReportSchema = new mongoose.Schema({
   walletId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Wallet',
     required: true,
   },
+  scanRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanRun',
+  },
   riskScore: {
     type: Number,
     required: true,
@@ -18,6 +26,11 @@ const ReportSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed, // To store detailed findings from all workers
     required: true,
   },
+  // Sections copied from the previous snapshot because this run did not produce them
+  carriedOverSections: {
+    type: [String],
+    default: [],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -26,4 +39,14 @@ const ReportSchema = new mongoose.Schema({
 
 ReportSchema.index({ walletId: 1, createdAt: -1 });
 
-module.exports = mongoose.model('Report', ReportSchema);
\ No newline at end of file
+const rejectUpdate = function (next) {
+  next(new Error('Reports are immutable snapshots. Write a new report instead of updating one.'));
+};
+
+ReportSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+ReportSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+
+module.exports = mongoose.model('Report', ReportSchema);
@@ -45,16 +45,40 @@ const RevokeActionSchema = new mongoose.Schema({
     unique: true, // Each revoke tx should only be logged once
     trim: true,
   },
-  // The status of the transaction, to be updated by a separate process if needed
+  // The status of the transaction, updated by the revoke confirmation worker
   status: {
     type: String,
     enum: ['pending', 'success', 'failed'],
     default: 'pending',
+    index: true,
+  },
+  // Why the revoke could not be confirmed, when status is 'failed'
+  failureReason: {
+    type: String,
+  },
+  // The block the revoke transaction was mined in
+  blockNumber: {
+    type: Number,
+  },
+  // When the on-chain verification settled the status
+  verifiedAt: {
+    type: Date,
+  },
+  // When the confirmation worker last looked at the action; the least recently checked go first
+  lastCheckedAt: {
+    type: Date,
+  },
+  // Checks that failed with an error; the action is given up on after too many
+  failedChecks: {
+    type: Number,
+    default: 0,
   },
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
 });
 
+RevokeActionSchema.index({ status: 1, lastCheckedAt: 1 });
+
 const RevokeAction = mongoose.model('RevokeAction', RevokeActionSchema);
 
 module.exports = RevokeAction;
\ No newline at end of file
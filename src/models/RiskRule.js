@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * A risk rule stored in the database. Rules here are merged over the files in src/rules:
+ * a rule with the same id replaces the file rule, and a disabled one switches it off,
+ * so rules can be added or tuned without a deploy.
+ */
+const RiskRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  // Bump whenever the rule's logic or severity changes
+  version: {
+    type: Number,
+    required: true,
+    default: 1,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['source', 'selector', 'opcode', 'adminSlot', 'honeypot', 'approval'],
+  },
+  // Short label shown in risk lists
+  name: {
+    type: String,
+    required: true,
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'],
+  },
+  weight: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  remediation: {
+    type: String,
+  },
+  // Type-specific conditions, e.g. { construct: 'delegatecall' } or { type: 'ERC20', isUnlimited: true }
+  match: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+  collection: 'risk_rules',
+});
+
+module.exports = mongoose.model('RiskRule', RiskRuleSchema);
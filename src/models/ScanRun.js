@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * One full (or single-task) scan of a wallet. Each analysis worker stages its section of the
+ * report here; once every task has finished, the run is turned into an immutable Report snapshot.
+ */
+const ScanRunSchema = new mongoose.Schema({
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true,
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['running', 'finalizing', 'completed', 'failed'],
+    default: 'running',
+  },
+  // The analysis tasks (job task types) the run waits for
+  tasks: {
+    type: [String],
+    required: true,
+  },
+  completedTasks: {
+    type: [String],
+    default: [],
+  },
+  failedTasks: {
+    type: [String],
+    default: [],
+  },
+  // The report sections written so far, keyed like Report.details
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+  },
+}, {
+  minimize: false, // Keep the empty details object so sections can be $set into it
+});
+
+ScanRunSchema.index({ walletId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('ScanRun', ScanRunSchema);
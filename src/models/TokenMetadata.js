@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cached on-chain metadata for token contracts, resolved once per chain and address.
+ */
+const TokenMetadataSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true,
+  },
+  chain: {
+    type: String,
+    required: true,
+    lowercase: true,
+  },
+  name: {
+    type: String,
+    default: null,
+  },
+  symbol: {
+    type: String,
+    default: null,
+  },
+  decimals: {
+    type: Number,
+    default: null,
+  },
+  standard: {
+    type: String,
+    enum: ['ERC20', 'ERC721', 'ERC1155', 'unknown'],
+    default: 'unknown',
+  },
+}, {
+  timestamps: true,
+  collection: 'token_metadata',
+});
+
+// Each token has exactly one metadata entry per chain
+TokenMetadataSchema.index({ address: 1, chain: 1 }, { unique: true });
+
+module.exports = mongoose.model('TokenMetadata', TokenMetadataSchema);
@@ -9,6 +9,8 @@ const WalletSchema = new mongoose.Schema({
   address: {
     type: String,
     required: true,
+    lowercase: true,
+    trim: true,
   },
   chain: {
     type: String,
@@ -26,10 +28,12 @@ const WalletSchema = new mongoose.Schema({
     txlist: { type: Array, default: [] },
     tokentx: { type: Array, default: [] },
     tokennfttx: { type: Array, default: [] },
+    approvalLogs: { type: Array, default: [] }, // Approval/ApprovalForAll logs where the wallet is the owner
     lastBlock: {
       txlist: { type: Number, default: 0 },
       tokentx: { type: Number, default: 0 },
       tokennfttx: { type: Number, default: 0 },
+      approvalLogs: { type: Number, default: 0 },
     },
     updatedAt: { type: Date },
   },
@@ -37,6 +41,9 @@ const WalletSchema = new mongoose.Schema({
     // To store the state of the last analysis for comparison
     approvals: { type: Array, default: [] }, // Store hashes or IDs of approvals
     interactedContracts: { type: Array, default: [] }, // Store addresses of interacted contracts
+    idlePositions: { type: Array, default: [] }, // Staking positions already alerted as idle
+    proxies: { type: Array, default: [] }, // Implementation and admin of every watched proxy
+    proxiesCheckedBlock: { type: Number }, // Block up to which upgrade logs have been read
     lastUpdatedAt: { type: Date }
   },
   createdAt: {
@@ -47,5 +54,7 @@ const WalletSchema = new mongoose.Schema({
 
 // Compound index to ensure a user doesn't add the same wallet address on the same chain twice
 WalletSchema.index({ userId: 1, address: 1, chain: 1 }, { unique: true });
+// Looking a wallet up by address, e.g. to re-analyze it after a revoke
+WalletSchema.index({ address: 1, chain: 1 });
 
 module.exports = mongoose.model('Wallet', WalletSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const PoolWatch = require('../models/PoolWatch');
+const RugMonitorService = require('../services/rugMonitor.service');
+
+const RUG_MONITOR_INTERVAL_MINUTES = parseInt(process.env.RUG_MONITOR_INTERVAL_MINUTES, 10) || 10;
+// The watch list is rebuilt from wallet exposure once every this many checks
+const SYNC_EVERY_RUNS = 6;
+
+let isRunning = false;
+let runCount = 0;
+
+/**
+ * This scheduler keeps the pool watch list in sync with wallet exposure and checks every
+ * watched pool for rug-pull signals each RUG_MONITOR_INTERVAL_MINUTES minutes.
+ */
+function startRugMonitorScheduler() {
+  if (RUG_MONITOR_INTERVAL_MINUTES <= 0 || RUG_MONITOR_INTERVAL_MINUTES > 59) {
+    console.warn('[RugMonitor] Invalid RUG_MONITOR_INTERVAL_MINUTES. Rug monitor will not run.');
+    return;
+  }
+
+  console.log(`[RugMonitor] Rug monitor will run every ${RUG_MONITOR_INTERVAL_MINUTES} minutes.`);
+
+  cron.schedule(`*/${RUG_MONITOR_INTERVAL_MINUTES} * * * *`, async () => {
+    if (isRunning) {
+      return; // The previous run is still going
+    }
+    if (mongoose.connection.readyState !== 1) {
+      console.error('[RugMonitor] MongoDB is not connected. Skipping run.');
+      return;
+    }
+
+    isRunning = true;
+    try {
+      if (runCount % SYNC_EVERY_RUNS === 0) {
+        const watchedPools = await RugMonitorService.syncWatches();
+        console.log(`[RugMonitor] Watching ${watchedPools} pools.`);
+      }
+      runCount += 1;
+
+      const watches = await PoolWatch.find({}).select('-alerts');
+      for (const watch of watches) {
+        try {
+          const alerts = await RugMonitorService.checkPool(watch);
+          if (alerts.length > 0) {
+            console.log(`[RugMonitor] Raised ${alerts.length} alert(s) for pool ${watch.pairAddress} on ${watch.chain}.`);
+          }
+        } catch (error) {
+          console.error(`[RugMonitor] Failed to check pool ${watch.pairAddress} on ${watch.chain}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[RugMonitor] An error occurred during the rug monitor run:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+}
+
+module.exports = { startRugMonitorScheduler };
@@ -4,6 +4,7 @@ const cors = require('cors');
 const connectDB = require('./config/database');
 
 const { startMasterScheduler } = require('./scheduler/master.scheduler');
+const { startRugMonitorScheduler } = require('./scheduler/rugMonitor.scheduler');
 
 const app = express();
 
@@ -22,6 +23,7 @@ app.use('/api/v1/actions', require('./api/routes/actions'));
 app.use('/api/v1/reports', require('./api/routes/reports'));
 app.use('/api/v1/telegram', require('./api/routes/telegram'));
 app.use('/api/v1/contract', require('./api/routes/contract'));
+app.use('/api/v1/portfolio', require('./api/routes/portfolio'));
 
 // --- WORKER INITIALIZATION ---
 // The require calls below initialize the workers and their listeners.
@@ -32,6 +34,7 @@ require('./workers/activity.worker');
 // require('./workers/nft.worker'); // Disabled
 require('./workers/lpStake.worker');
 require('./workers/approval.worker');
+require('./workers/upgradeWatch.worker');
 
 // --- SERVICE & SCHEDULER INITIALIZATION ---
 const startServer = async () => {
@@ -42,7 +45,10 @@ const startServer = async () => {
     // 2. Start the background workers and schedulers
     const requestProcessor = require('./workers/RequestProcessor.worker');
     requestProcessor.start();
+    const revokeConfirmation = require('./workers/revokeConfirmation.worker');
+    revokeConfirmation.start(); // Settles pending revoke actions on-chain
     startMasterScheduler(); // Start the periodic scan scheduler
+    startRugMonitorScheduler(); // Watch exposed pools for rug pulls
 
     // 3. Start the Express server
     const PORT = process.env.API_PORT || 3001;
@@ -1,5 +1,10 @@
 const RevokeAction = require('../models/RevokeAction');
 const User = require('../models/User');
+const BlockchainService = require('./blockchain.service');
+const { extractApprovalCalls } = require('../workers/approval.worker');
+
+// Revoke transactions still unknown to the node after this long are considered dropped
+const REVOKE_PENDING_TIMEOUT_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Service for handling user-initiated actions and analytics.
@@ -37,6 +42,88 @@ class ActionService {
     console.log(`[ActionService] Logged revoke action for wallet ${walletAddress} with txHash ${txHash}`);
     return newAction;
   }
+
+  /**
+   * Verifies a logged revoke action on-chain: the transaction must be mined and successful, its
+   * calldata (including nested batch calls) must revoke the logged token/spender pair, and the
+   * allowance read back from the chain must now be zero.
+   * @param {RevokeAction} action - The pending revoke action.
+   * @returns {Promise<{status: string, failureReason?: string, blockNumber?: number}|null>} The outcome, or null if it cannot be settled yet.
+   * @throws {Error} If the allowance cannot be read back, so a failed RPC call is not taken for a revoke.
+   */
+  static async verifyRevokeAction(action) {
+    const receipt = await BlockchainService.getTransactionReceipt(action.txHash, action.chain);
+    if (!receipt) {
+      const isStale = Date.now() - new Date(action.createdAt).getTime() > REVOKE_PENDING_TIMEOUT_MS;
+      return isStale ? { status: 'failed', failureReason: 'Transaction was not mined within 24 hours.' } : null;
+    }
+
+    const { blockNumber } = receipt;
+    if (receipt.status !== 1) {
+      return { status: 'failed', failureReason: 'Transaction reverted.', blockNumber };
+    }
+
+    const tx = await BlockchainService.getTransaction(action.txHash, action.chain);
+    if (!tx) {
+      return null;
+    }
+
+    const calls = extractApprovalCalls({ hash: tx.hash, from: tx.from, to: tx.to, input: tx.data }, action.walletAddress, action.chain);
+    const revokeType = calls.map(call => this._getRevokeType(call, action)).find(Boolean);
+    if (!revokeType) {
+      return { status: 'failed', failureReason: 'Transaction does not revoke this token/spender pair.', blockNumber };
+    }
+
+    let isRevoked;
+    if (revokeType === 'NFT') {
+      isRevoked = !(await BlockchainService.isApprovedForAll(action.tokenAddress, action.walletAddress, action.spender, action.chain, { throwOnError: true }));
+    } else if (revokeType === 'Permit2') {
+      const permit2Allowance = await BlockchainService.getPermit2Allowance(action.walletAddress, action.tokenAddress, action.spender, action.chain);
+      if (!permit2Allowance) {
+        throw new Error('Could not read the Permit2 allowance back from the chain.');
+      }
+      isRevoked = permit2Allowance.amount === 0n;
+    } else {
+      const allowance = await BlockchainService.getAllowance(action.tokenAddress, action.walletAddress, action.spender, action.chain, { throwOnError: true });
+      isRevoked = allowance === 0n;
+    }
+
+    return isRevoked
+      ? { status: 'success', blockNumber }
+      : { status: 'failed', failureReason: 'Allowance is still non-zero after the revoke transaction.', blockNumber };
+  }
+
+  /**
+   * Returns the kind of approval a decoded call revokes for the action's token/spender pair, if any.
+   * @private
+   */
+  static _getRevokeType(call, action) {
+    const { target, signature, args } = call;
+    const token = action.tokenAddress.toLowerCase();
+    const spender = action.spender.toLowerCase();
+    const permit2Address = BlockchainService.getPermit2Address(action.chain);
+    const isPermit2 = !!permit2Address && target.toLowerCase() === permit2Address.toLowerCase();
+
+    if (isPermit2 && signature === 'lockdown((address,address)[])') {
+      return args[0].some(([lockedToken, lockedSpender]) => lockedToken.toLowerCase() === token && lockedSpender.toLowerCase() === spender) ? 'Permit2' : null;
+    }
+    if (isPermit2 && signature === 'approve(address,address,uint160,uint48)') {
+      return args[0].toLowerCase() === token && args[1].toLowerCase() === spender && args[2] === 0n ? 'Permit2' : null;
+    }
+    if (target.toLowerCase() !== token || typeof args[0] !== 'string' || args[0].toLowerCase() !== spender) {
+      return null;
+    }
+    if (signature === 'approve(address,uint256)' && args[1] === 0n) {
+      return 'ERC20';
+    }
+    if (signature === 'decreaseAllowance(address,uint256)') {
+      return 'ERC20';
+    }
+    if (signature === 'setApprovalForAll(address,bool)' && args[1] === false) {
+      return 'NFT';
+    }
+    return null;
+  }
 }
 
 module.exports = ActionService;
\ No newline at end of file
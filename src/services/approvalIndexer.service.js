@@ -0,0 +1,170 @@
+const { ethers } = require('ethers');
+const BlockchainService = require('./blockchain.service');
+
+// Standard ERC20/ERC721 approval events. The owner is always the first indexed argument.
+const APPROVAL_EVENT_ABIS = [
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+  'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
+];
+const approvalEventInterface = new ethers.Interface(APPROVAL_EVENT_ABIS);
+
+// Permit2 AllowanceTransfer events. Their signatures differ from the ERC20 ones, so the
+// topic alone identifies them and they can share the same owner-filtered eth_getLogs query.
+const PERMIT2_EVENT_ABIS = [
+  'event Approval(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration)',
+  'event Permit(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration, uint48 nonce)',
+  'event Lockdown(address indexed owner, address token, address spender)',
+];
+const permit2EventInterface = new ethers.Interface(PERMIT2_EVENT_ABIS);
+
+const APPROVAL_TOPIC = approvalEventInterface.getEvent('Approval').topicHash;
+const APPROVAL_FOR_ALL_TOPIC = approvalEventInterface.getEvent('ApprovalForAll').topicHash;
+const PERMIT2_TOPICS = ['Approval', 'Permit', 'Lockdown'].map(name => permit2EventInterface.getEvent(name).topicHash);
+
+class ApprovalIndexerService {
+  /**
+   * Fetches every Approval and ApprovalForAll log in which the wallet is the indexed owner.
+   * This catches approvals granted through routers, multicalls, smart-wallet batches or
+   * permits submitted by a third party, which never show up in the wallet's own txlist.
+   * Permit2 Approval/Permit/Lockdown events are included in the same query.
+   * @param {string} ownerAddress - The wallet address.
+   * @param {string} chain - The blockchain name.
+   * @param {object} [options={}] - Block range options ({ fromBlock, toBlock }).
+   * @returns {Promise<object[]>} The raw logs, oldest first.
+   */
+  static async fetchApprovalLogs(ownerAddress, chain, options = {}) {
+    const filter = {
+      topics: [
+        [APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC, ...PERMIT2_TOPICS],
+        ethers.zeroPadValue(ownerAddress.toLowerCase(), 32),
+      ],
+      fromBlock: options.fromBlock || 0,
+      toBlock: options.toBlock,
+    };
+    return BlockchainService.getLogs(filter, chain);
+  }
+
+  /**
+   * Reduces a list of approval logs to the latest known state of every token-spender pair.
+   * ERC721 single-token approvals (Approval with an indexed tokenId) are ignored, as they are
+   * cleared on every transfer and do not represent a standing allowance.
+   * Permit2 sub-allowances are keyed as `permit2-${token}-${spender}`.
+   * @param {object[]} logs - Raw logs as returned by fetchApprovalLogs, oldest first.
+   * @returns {Map<string, object>} A map of `${contract}-${spender}` (lowercase) to the latest approval state.
+   */
+  static reduceApprovalLogs(logs) {
+    return new Map(Array.from(this._reduce(logs), ([key, { state }]) => [key, state]));
+  }
+
+  /**
+   * Drops every log superseded by a later one for the same token-spender pair. The latest state
+   * of a pair only ever depends on its last log, so the result reduces to the same state while
+   * staying bounded by the number of pairs the wallet ever approved.
+   * @param {object[]} logs - Raw logs as returned by fetchApprovalLogs, oldest first.
+   * @returns {object[]} The logs that still matter, oldest first.
+   */
+  static compactApprovalLogs(logs) {
+    return Array.from(this._reduce(logs).values(), ({ log }) => log)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Reduces logs to the latest state of every pair, along with the log that produced it.
+   * @private
+   */
+  static _reduce(logs) {
+    const latest = new Map();
+
+    for (const log of logs) {
+      const topic = log.topics[0];
+      if (PERMIT2_TOPICS.includes(topic)) {
+        this._reducePermit2Log(log, latest);
+        continue;
+      }
+      if (topic === APPROVAL_TOPIC && log.topics.length !== 3) {
+        continue;
+      }
+
+      let parsedLog;
+      try {
+        parsedLog = approvalEventInterface.parseLog({ topics: log.topics, data: log.data });
+      } catch (error) {
+        // Non-standard event with a colliding topic, nothing we can use.
+        continue;
+      }
+      if (!parsedLog) continue;
+
+      const contractAddress = log.address.toLowerCase();
+      const [, counterparty, value] = parsedLog.args;
+      const key = `${contractAddress}-${counterparty.toLowerCase()}`;
+
+      if (parsedLog.name === 'Approval') {
+        latest.set(key, {
+          log,
+          state: {
+            type: 'ERC20',
+            contractAddress,
+            spender: counterparty,
+            amount: value,
+            isActive: value > 0n,
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+          },
+        });
+      } else {
+        latest.set(key, {
+          log,
+          state: {
+            type: 'NFT',
+            contractAddress,
+            operator: counterparty,
+            isActive: value === true,
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+          },
+        });
+      }
+    }
+
+    return latest;
+  }
+
+  /**
+   * Applies a single Permit2 event to the reduced approval state (see _reduce).
+   * @private
+   */
+  static _reducePermit2Log(log, latest) {
+    let parsedLog;
+    try {
+      parsedLog = permit2EventInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch (error) {
+      return;
+    }
+    if (!parsedLog) return;
+
+    const { token, spender } = parsedLog.args;
+    const key = `permit2-${token}-${spender}`.toLowerCase();
+
+    if (parsedLog.name === 'Lockdown') {
+      latest.set(key, { log, state: { type: 'Permit2', permit2Address: log.address, tokenAddress: token, spender, isActive: false, blockNumber: log.blockNumber, txHash: log.transactionHash } });
+      return;
+    }
+
+    latest.set(key, {
+      log,
+      state: {
+        type: 'Permit2',
+        permit2Address: log.address,
+        tokenAddress: token,
+        spender,
+        amount: parsedLog.args.amount,
+        expiration: Number(parsedLog.args.expiration),
+        isActive: parsedLog.args.amount > 0n,
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+      },
+    });
+  }
+}
+
+module.exports = ApprovalIndexerService;
@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const RequestQueueService = require('./RequestQueueService');
 const { CHAIN_ID_MAP } = require('../config/providerConfig');
+const { PERMIT2_ADDRESSES } = require('../config/contractConfig');
 
 const providers = {
   ethereum: new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL || `https://mainnet.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`),
@@ -10,6 +11,15 @@ const providers = {
   zksync: new ethers.JsonRpcProvider(process.env.ZKSYNC_RPC_URL || 'https://mainnet.era.zksync.io'),
 };
 
+// Blocks per eth_getLogs request when LOGS_MAX_BLOCK_RANGE is not set
+const DEFAULT_LOGS_BLOCK_RANGE = 50000;
+// How nodes word a refused eth_getLogs range (Alchemy, Infura, QuickNode, public nodes), which is worth splitting
+const LOGS_RANGE_ERROR = /block range|range (is )?too (large|wide|big)|range exceeds|too many (results|logs|blocks)|more than \d+ (results|logs)|response size|exceeds? (the )?max(imum)? (block|range|results|logs)/i;
+// Rate limits are retried later rather than split into more requests
+const RATE_LIMIT_ERROR = /rate limit|too many requests|\b429\b|capacity exceeded|compute units/i;
+// balanceOf calls sent to the node at once by getBalances
+const BALANCE_BATCH_SIZE = 25;
+
 class BlockchainService {
   /**
    * Gets the ethers provider for a given chain.
@@ -24,6 +34,15 @@ class BlockchainService {
     return provider;
   }
 
+  /**
+   * Whether a chain has a provider configured.
+   * @param {string} chain - The name of the blockchain.
+   * @returns {boolean}
+   */
+  static isSupportedChain(chain) {
+    return Object.prototype.hasOwnProperty.call(providers, chain);
+  }
+
   /**
    * A helper to map chain name to provider name for the queue.
    * @param {string} chain
@@ -63,9 +82,10 @@ class BlockchainService {
    * @param {string} ownerAddress - The address of the token owner.
    * @param {string} spenderAddress - The address of the spender.
    * @param {string} chain - The blockchain name.
+   * @param {object} [options={}] - { throwOnError: true } rethrows a failed read instead of reporting a zero allowance.
    * @returns {Promise<bigint>}
    */
-  static async getAllowance(tokenAddress, ownerAddress, spenderAddress, chain) {
+  static async getAllowance(tokenAddress, ownerAddress, spenderAddress, chain, options = {}) {
     const provider = this.getProvider(chain);
     const abi = ["function allowance(address owner, address spender) view returns (uint256)"];
     const contract = new ethers.Contract(tokenAddress, abi, provider);
@@ -74,9 +94,94 @@ class BlockchainService {
     } catch (error) {
       // It might fail if the contract is not a valid ERC20, etc.
       console.warn(`[BlockchainService] Could not get allowance for token ${tokenAddress}. Error: ${error.message}`);
+      if (options.throwOnError) throw error;
       return BigInt(0);
     }
   }
+
+  /**
+   * Gets the address of the canonical Permit2 contract on a chain.
+   * @param {string} chain - The blockchain name.
+   * @returns {string|null}
+   */
+  static getPermit2Address(chain) {
+    return PERMIT2_ADDRESSES[chain] || null;
+  }
+
+  /**
+   * Reads a Permit2 sub-allowance via Permit2's `allowance(owner, token, spender)`.
+   * @param {string} ownerAddress - The address of the token owner.
+   * @param {string} tokenAddress - The ERC20 token contract address.
+   * @param {string} spenderAddress - The address of the spender.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<{amount: bigint, expiration: number, nonce: number}|null>} The allowance, or null if it could not be read.
+   */
+  static async getPermit2Allowance(ownerAddress, tokenAddress, spenderAddress, chain) {
+    const permit2Address = this.getPermit2Address(chain);
+    if (!permit2Address) {
+      return null;
+    }
+    const provider = this.getProvider(chain);
+    const abi = ["function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)"];
+    const contract = new ethers.Contract(permit2Address, abi, provider);
+    try {
+      const [amount, expiration, nonce] = await contract.allowance(ownerAddress, tokenAddress, spenderAddress);
+      return { amount, expiration: Number(expiration), nonce: Number(nonce) };
+    } catch (error) {
+      console.warn(`[BlockchainService] Could not get Permit2 allowance for token ${tokenAddress}. Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetches a transaction by hash.
+   * @param {string} txHash - The transaction hash.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<ethers.TransactionResponse|null>} The transaction, or null if it is unknown to the node.
+   */
+  static async getTransaction(txHash, chain) {
+    const provider = this.getProvider(chain);
+    try {
+      return await provider.getTransaction(txHash);
+    } catch (error) {
+      console.error(`[BlockchainService] Error getting transaction ${txHash}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetches the receipt of a transaction.
+   * @param {string} txHash - The transaction hash.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<ethers.TransactionReceipt|null>} The receipt, or null if the transaction is not mined yet.
+   * @throws When the node cannot be queried, so that it is not mistaken for a transaction that is not mined.
+   */
+  static async getTransactionReceipt(txHash, chain) {
+    const provider = this.getProvider(chain);
+    try {
+      return await provider.getTransactionReceipt(txHash);
+    } catch (error) {
+      console.error(`[BlockchainService] Error getting receipt for transaction ${txHash}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimates the gas a call would use if sent from the given address.
+   * @param {object} tx - The call ({ from, to, data, value }).
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<bigint|null>} The gas estimate, or null if the call would revert or the node refused it.
+   */
+  static async estimateGas(tx, chain) {
+    const provider = this.getProvider(chain);
+    try {
+      return await provider.estimateGas(tx);
+    } catch (error) {
+      console.warn(`[BlockchainService] Could not estimate gas for call to ${tx.to}. Error: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Fetches the list of normal transactions for a given address.
    * @param {string} address - The wallet address.
@@ -116,6 +221,29 @@ class BlockchainService {
     return RequestQueueService.add(providerName, requestData);
   }
 
+  /**
+   * Fetches the creator and creation transaction of a contract.
+   * @param {string} address - The contract address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<{contractCreator: string, txHash: string}|null>} The creation record, or null if unknown.
+   */
+  static async getContractCreation(address, chain) {
+    const providerName = this.getProviderName(chain);
+    const requestData = {
+      module: 'contract',
+      action: 'getcontractcreation',
+      contractaddresses: address,
+      chainid: CHAIN_ID_MAP[chain],
+    };
+    try {
+      const result = await RequestQueueService.add(providerName, requestData);
+      return Array.isArray(result) && result.length > 0 ? result[0] : null;
+    } catch (error) {
+      console.warn(`[BlockchainService] Could not get creator of contract ${address}. Error: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Checks if an address is a smart contract.
    * @param {string} address - The address to check.
@@ -176,9 +304,10 @@ class BlockchainService {
    * @param {string} ownerAddress - The address of the asset owner.
    * @param {string} operatorAddress - The address of the operator.
    * @param {string} chain - The blockchain name.
+   * @param {object} [options={}] - { throwOnError: true } rethrows a failed read instead of reporting no approval.
    * @returns {Promise<boolean>}
    */
-  static async isApprovedForAll(contractAddress, ownerAddress, operatorAddress, chain) {
+  static async isApprovedForAll(contractAddress, ownerAddress, operatorAddress, chain, options = {}) {
     const provider = this.getProvider(chain);
     const abi = ["function isApprovedForAll(address owner, address operator) view returns (bool)"];
     const contract = new ethers.Contract(contractAddress, abi, provider);
@@ -186,6 +315,7 @@ class BlockchainService {
       return await contract.isApprovedForAll(ownerAddress, operatorAddress);
     } catch (error) {
       console.warn(`[BlockchainService] Could not check isApprovedForAll for contract ${contractAddress}. Error: ${error.message}`);
+      if (options.throwOnError) throw error;
       return false;
     }
   }
@@ -251,6 +381,100 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Gets the balances of many ERC20 tokens of one owner, BALANCE_BATCH_SIZE calls at a time.
+   * @param {string[]} tokenAddresses - The token contract addresses.
+   * @param {string} ownerAddress - The address of the owner.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<bigint[]>} The balances, in the order of `tokenAddresses`.
+   */
+  static async getBalances(tokenAddresses, ownerAddress, chain) {
+    const balances = [];
+    for (let start = 0; start < tokenAddresses.length; start += BALANCE_BATCH_SIZE) {
+      const batch = tokenAddresses.slice(start, start + BALANCE_BATCH_SIZE);
+      balances.push(...await Promise.all(batch.map(tokenAddress => this.getBalance(tokenAddress, ownerAddress, chain))));
+    }
+    return balances;
+  }
+
+  /**
+   * Gets the native coin balance (ETH, POL, ...) of an address.
+   * @param {string} address - The address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<bigint>}
+   */
+  static async getNativeBalance(address, chain) {
+    const provider = this.getProvider(chain);
+    try {
+      return await provider.getBalance(address);
+    } catch (error) {
+      console.warn(`[BlockchainService] Could not get native balance for ${address}. Error: ${error.message}`);
+      return BigInt(0);
+    }
+  }
+
+  /**
+   * Fetches event logs matching a filter via eth_getLogs.
+   * Large ranges are split into chunks (LOGS_MAX_BLOCK_RANGE, 50000 blocks by default) and a
+   * range the node rejects as too wide or too large a result is bisected until it succeeds, so the
+   * same call works against archive and public nodes. Other errors (rate limits, timeouts) are thrown.
+   * @param {object} filter - An eth_getLogs filter ({ address, topics, fromBlock, toBlock }).
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<object[]>} Plain log objects, sorted by block number and log index.
+   */
+  static async getLogs(filter, chain) {
+    const provider = this.getProvider(chain);
+    const fromBlock = Number(filter.fromBlock || 0);
+    const toBlock = filter.toBlock !== undefined ? Number(filter.toBlock) : await provider.getBlockNumber();
+    const step = parseInt(process.env.LOGS_MAX_BLOCK_RANGE, 10) || DEFAULT_LOGS_BLOCK_RANGE;
+
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += step) {
+      const end = Math.min(start + step - 1, toBlock);
+      logs.push(...await this._getLogsInRange(provider, filter, start, end));
+    }
+
+    return logs
+      .map(log => ({
+        address: log.address,
+        topics: [...log.topics],
+        data: log.data,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+      }))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Fetches logs for a single block range, bisecting it when the node refuses the request
+   * (too many results or too wide a range).
+   * @private
+   */
+  static async _getLogsInRange(provider, filter, fromBlock, toBlock) {
+    try {
+      return await provider.getLogs({ address: filter.address, topics: filter.topics, fromBlock, toBlock });
+    } catch (error) {
+      const message = `${error.message} ${error.error && error.error.message ? error.error.message : ''}`;
+      if (toBlock - fromBlock < 1000 || RATE_LIMIT_ERROR.test(message) || !LOGS_RANGE_ERROR.test(message)) {
+        throw error;
+      }
+      const middle = Math.floor((fromBlock + toBlock) / 2);
+      const left = await this._getLogsInRange(provider, filter, fromBlock, middle);
+      const right = await this._getLogsInRange(provider, filter, middle + 1, toBlock);
+      return left.concat(right);
+    }
+  }
+
+  /**
+   * Gets the latest block number for a chain.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<number>}
+   */
+  static async getBlockNumber(chain) {
+    return this.getProvider(chain).getBlockNumber();
+  }
+
   /**
    * Parses transaction input data using a given ABI interface.
    * @param {string} txInput - The transaction's input data (hex string).
@@ -271,30 +495,6 @@ class BlockchainService {
     }
   }
 
-  /**
-   * Gets the implementation address for a proxy contract following EIP-1967.
-   * @param {string} proxyAddress - The address of the proxy contract.
-   * @param {string} chain - The blockchain name.
-   * @returns {Promise<string|null>} The implementation address or null if not found.
-   */
-  static async getImplementationAddress(proxyAddress, chain) {
-    const provider = this.getProvider(chain);
-    // EIP-1967 storage slot for implementation address
-    const implementationSlot = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
-    try {
-      const storageValue = await provider.getStorage(proxyAddress, implementationSlot);
-      if (storageValue && storageValue !== '0x' + '0'.repeat(64)) {
-        // The address is the last 20 bytes (40 hex characters) of the storage value
-        const address = '0x' + storageValue.slice(-40);
-        return ethers.getAddress(address); // Return checksummed address
-      }
-      return null;
-    } catch (error) {
-      console.warn(`[BlockchainService] Could not check for implementation address for ${proxyAddress}:`, error.message);
-      return null;
-    }
-  }
-
   /**
    * Tries to read the 'name()' function from a contract.
    * @param {string} contractAddress - The address of the contract.
@@ -0,0 +1,132 @@
+/**
+ * EVM opcode names by byte value. PUSH1-PUSH32 (0x60-0x7f), DUP1-DUP16 (0x80-0x8f),
+ * SWAP1-SWAP16 (0x90-0x9f) and LOG0-LOG4 (0xa0-0xa4) are filled in below.
+ */
+const OPCODES = {
+  0x00: 'STOP', 0x01: 'ADD', 0x02: 'MUL', 0x03: 'SUB', 0x04: 'DIV', 0x05: 'SDIV', 0x06: 'MOD', 0x07: 'SMOD',
+  0x08: 'ADDMOD', 0x09: 'MULMOD', 0x0a: 'EXP', 0x0b: 'SIGNEXTEND',
+  0x10: 'LT', 0x11: 'GT', 0x12: 'SLT', 0x13: 'SGT', 0x14: 'EQ', 0x15: 'ISZERO', 0x16: 'AND', 0x17: 'OR',
+  0x18: 'XOR', 0x19: 'NOT', 0x1a: 'BYTE', 0x1b: 'SHL', 0x1c: 'SHR', 0x1d: 'SAR',
+  0x20: 'KECCAK256',
+  0x30: 'ADDRESS', 0x31: 'BALANCE', 0x32: 'ORIGIN', 0x33: 'CALLER', 0x34: 'CALLVALUE', 0x35: 'CALLDATALOAD',
+  0x36: 'CALLDATASIZE', 0x37: 'CALLDATACOPY', 0x38: 'CODESIZE', 0x39: 'CODECOPY', 0x3a: 'GASPRICE',
+  0x3b: 'EXTCODESIZE', 0x3c: 'EXTCODECOPY', 0x3d: 'RETURNDATASIZE', 0x3e: 'RETURNDATACOPY', 0x3f: 'EXTCODEHASH',
+  0x40: 'BLOCKHASH', 0x41: 'COINBASE', 0x42: 'TIMESTAMP', 0x43: 'NUMBER', 0x44: 'PREVRANDAO', 0x45: 'GASLIMIT',
+  0x46: 'CHAINID', 0x47: 'SELFBALANCE', 0x48: 'BASEFEE', 0x49: 'BLOBHASH', 0x4a: 'BLOBBASEFEE',
+  0x50: 'POP', 0x51: 'MLOAD', 0x52: 'MSTORE', 0x53: 'MSTORE8', 0x54: 'SLOAD', 0x55: 'SSTORE', 0x56: 'JUMP',
+  0x57: 'JUMPI', 0x58: 'PC', 0x59: 'MSIZE', 0x5a: 'GAS', 0x5b: 'JUMPDEST', 0x5c: 'TLOAD', 0x5d: 'TSTORE',
+  0x5e: 'MCOPY', 0x5f: 'PUSH0',
+  0xf0: 'CREATE', 0xf1: 'CALL', 0xf2: 'CALLCODE', 0xf3: 'RETURN', 0xf4: 'DELEGATECALL', 0xf5: 'CREATE2',
+  0xfa: 'STATICCALL', 0xfd: 'REVERT', 0xfe: 'INVALID', 0xff: 'SELFDESTRUCT',
+};
+for (let i = 1; i <= 32; i++) OPCODES[0x5f + i] = `PUSH${i}`;
+for (let i = 1; i <= 16; i++) OPCODES[0x7f + i] = `DUP${i}`;
+for (let i = 1; i <= 16; i++) OPCODES[0x8f + i] = `SWAP${i}`;
+for (let i = 0; i <= 4; i++) OPCODES[0xa0 + i] = `LOG${i}`;
+
+// Execution never falls through these, so the bytes after them are dead until the next JUMPDEST.
+const TERMINATING_OPCODES = new Set(['STOP', 'JUMP', 'RETURN', 'REVERT', 'INVALID', 'SELFDESTRUCT']);
+
+// Proxy admin/implementation slots (EIP-1967, EIP-1822); code writing them can swap the logic or its admin
+const ADMIN_SLOTS = {
+  '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc': 'EIP-1967 implementation',
+  '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103': 'EIP-1967 admin',
+  '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50': 'EIP-1967 beacon',
+  '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7': 'EIP-1822 proxiable',
+};
+// How many instructions after the slot is pushed its SSTORE may appear
+const ADMIN_SLOT_LOOKAHEAD = 6;
+
+class BytecodeService {
+  /**
+   * Disassembles runtime bytecode into instructions. The trailing Solidity/Vyper CBOR metadata
+   * is dropped, and instructions that cannot be reached by falling through (data appended after
+   * a terminating opcode) are marked unreachable.
+   * @param {string} bytecode - The runtime bytecode as a hex string.
+   * @returns {{pc: number, name: string, pushData: string|null, reachable: boolean}[]} The instructions.
+   */
+  static disassemble(bytecode) {
+    const code = this._stripMetadata(this._toBytes(bytecode));
+    const instructions = [];
+    let reachable = true;
+
+    let pc = 0;
+    while (pc < code.length) {
+      const opcode = code[pc];
+      const name = OPCODES[opcode] || `UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}`;
+      if (name === 'JUMPDEST') reachable = true;
+
+      // Push data cut off by the end of the code reads as zeros, as the EVM does.
+      const pushSize = opcode >= 0x60 && opcode <= 0x7f ? opcode - 0x5f : 0;
+      const pushData = pushSize > 0
+        ? `0x${code.subarray(pc + 1, pc + 1 + pushSize).toString('hex').padEnd(pushSize * 2, '0')}`
+        : null;
+
+      instructions.push({ pc, name, pushData, reachable });
+      if (TERMINATING_OPCODES.has(name)) reachable = false;
+      pc += 1 + pushSize;
+    }
+    return instructions;
+  }
+
+  /**
+   * Analyzes runtime bytecode: the selectors its dispatcher compares calldata against, the
+   * opcodes it can reach, and any writes to proxy admin slots. Which of these are risky is
+   * decided by the `selector`, `opcode` and `adminSlot` rules (see RuleEngineService.evaluateBytecode).
+   * @param {string} bytecode - The runtime bytecode as a hex string.
+   * @returns {{selectors: string[], opcodes: string[], adminSlotWrites: string[]}} The findings.
+   */
+  static analyze(bytecode) {
+    const instructions = this.disassemble(bytecode).filter(instruction => instruction.reachable);
+    const selectors = new Set();
+    const opcodes = new Set();
+    const adminSlotWrites = new Set();
+
+    instructions.forEach((instruction, index) => {
+      opcodes.add(instruction.name);
+
+      // Dispatcher: PUSH4 <selector> (DUPn/SWAPn)* EQ|XOR. Selectors compared with GT/LT only
+      // split the search and are also matched by EQ later on, so they need no special case.
+      if (instruction.name === 'PUSH4') {
+        const next = instructions.slice(index + 1, index + 4).find(i => !/^(DUP|SWAP)\d+$/.test(i.name));
+        if (next && (next.name === 'EQ' || next.name === 'XOR')) {
+          selectors.add(instruction.pushData);
+        }
+      }
+
+      if (instruction.name === 'PUSH32' && ADMIN_SLOTS[instruction.pushData]) {
+        const writesSlot = instructions.slice(index + 1, index + 1 + ADMIN_SLOT_LOOKAHEAD).some(i => i.name === 'SSTORE');
+        if (writesSlot) adminSlotWrites.add(ADMIN_SLOTS[instruction.pushData]);
+      }
+    });
+
+    return {
+      selectors: Array.from(selectors),
+      opcodes: Array.from(opcodes),
+      adminSlotWrites: Array.from(adminSlotWrites),
+    };
+  }
+
+  /** @private */
+  static _toBytes(bytecode) {
+    const hex = (bytecode || '').replace(/^0x/, '');
+    return Buffer.from(hex.length % 2 === 0 ? hex : hex.slice(0, -1), 'hex');
+  }
+
+  /**
+   * Drops the CBOR-encoded compiler metadata appended to the runtime code. Its length is stored
+   * in the last two bytes, and the metadata itself is a CBOR map (0xa1-0xa5 header).
+   * @private
+   */
+  static _stripMetadata(code) {
+    if (code.length < 2) return code;
+    const metadataLength = code.readUInt16BE(code.length - 2);
+    const start = code.length - 2 - metadataLength;
+    if (metadataLength > 0 && start >= 0 && code[start] >= 0xa1 && code[start] <= 0xa5) {
+      return code.subarray(0, start);
+    }
+    return code;
+  }
+}
+
+module.exports = BytecodeService;
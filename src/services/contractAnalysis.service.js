@@ -1,26 +1,31 @@
 const BlockchainService = require('./blockchain.service');
 const AiService = require('./ai.service');
 const LabelService = require('./label.service');
+const HoneypotService = require('./honeypot.service');
+const ProxyResolverService = require('./proxyResolver.service');
+const RuleEngineService = require('./ruleEngine.service');
+const PrivilegeService = require('./privilege.service');
 const ContractAnalysis = require('../models/ContractAnalysis');
 const axios = require('axios');
 const { providerConfig, CHAIN_ID_MAP } = require('../config/providerConfig');
 
-// Re-using risk definitions from workers to keep consistency
-const { RISK_KEYWORDS, RISKY_SIGNATURES, analyzeHoneypotIndicators } = require('../workers/contract.worker');
+// Cached analyses younger than this are reused
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
 
 class ContractAnalysisService {
   /**
    * Analyzes a single smart contract for security risks, using a cache-first approach.
    * @param {string} contractAddress - The address of the contract to analyze.
    * @param {string} chain - The blockchain the contract is on.
+   * @param {object} [options={}] - { force: true } skips the cache, e.g. after the contract was upgraded.
    * @returns {Promise<object>} - The detailed analysis result.
    */
-  static async analyzeContract(contractAddress, chain) {
+  static async analyzeContract(contractAddress, chain, options = {}) {
     const address = contractAddress.toLowerCase();
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const twentyFourHoursAgo = new Date(Date.now() - CACHE_TTL_MS);
 
     // 1. Check for a recent, valid cache entry in our database
-    const cachedAnalysis = await ContractAnalysis.findOne({
+    const cachedAnalysis = !options.force && await ContractAnalysis.findOne({
       contractAddress: address,
       chain: chain,
       lastAnalyzedAt: { $gte: twentyFourHoursAgo },
@@ -34,20 +39,30 @@ class ContractAnalysisService {
     console.log(`[ContractAnalysisService] Performing fresh analysis for ${address} on ${chain}`);
 
     // 2. Perform a fresh analysis
-    const implementationAddress = await BlockchainService.getImplementationAddress(address, chain);
-    const addressToAnalyze = implementationAddress || address;
+    const proxy = await ProxyResolverService.resolve(address, chain);
+    const addressToAnalyze = proxy.implementationAddress || address;
 
     // For this direct-response service, we bypass the RequestQueue and call the API directly.
     const sourceCodeResult = await this._fetchSourceCodeDirectly(addressToAnalyze, chain);
     let analysisResult;
+    let code;
 
     if (sourceCodeResult && sourceCodeResult.SourceCode) {
       analysisResult = await this.analyzeVerifiedContract(sourceCodeResult.SourceCode);
+      code = { sourceCode: sourceCodeResult.SourceCode, contractName: sourceCodeResult.ContractName };
     } else {
       const bytecode = await BlockchainService.getCode(addressToAnalyze, chain);
-      analysisResult = this.analyzeUnverifiedContract(bytecode);
+      analysisResult = await this.analyzeUnverifiedContract(bytecode);
+      code = { bytecode };
     }
 
+    // The code comes from the implementation, but the owner and roles live in the proxy's storage.
+    analysisResult.privileges = await PrivilegeService.analyze(address, chain, code);
+
+    // Source patterns miss most honeypots and say nothing about unverified tokens, so every
+    // token is also traded in a simulation. Non-tokens simply have no pool to trade in.
+    analysisResult.honeypotSimulation = await HoneypotService.simulate(address, chain);
+
     // 3. Enrich the result with labels and other metadata
     const labelsMap = await LabelService.getLabels([address], chain);
     const label = labelsMap.get(address);
@@ -58,8 +73,13 @@ class ContractAnalysisService {
       label: label || 'Unknown',
       analysis: {
         ...analysisResult,
-        isProxy: !!implementationAddress,
-        implementationAddress: implementationAddress,
+        isProxy: proxy.isProxy,
+        implementationAddress: proxy.implementationAddress,
+        // Whoever controls these can swap the code behind every approval granted to this address.
+        proxyType: proxy.proxyType,
+        proxyAdmin: proxy.adminAddress,
+        proxyAdminOwner: proxy.adminOwner,
+        beaconAddress: proxy.beaconAddress,
       },
       lastAnalyzedAt: new Date(),
     };
@@ -75,21 +95,43 @@ class ContractAnalysisService {
     return newAnalysis;
   }
 
+  /**
+   * Reports a contract's privileged functions and who controls them (see PrivilegeService.analyze),
+   * without the rule, AI and honeypot checks of a full analysis. The privileges of a recent
+   * cached analysis are reused.
+   * @param {string} contractAddress - The contract address.
+   * @param {string} chain - The blockchain the contract is on.
+   * @returns {Promise<object>} The privileges.
+   */
+  static async analyzePrivileges(contractAddress, chain) {
+    const address = contractAddress.toLowerCase();
+    const cachedAnalysis = await ContractAnalysis.findOne({
+      contractAddress: address,
+      chain: chain,
+      lastAnalyzedAt: { $gte: new Date(Date.now() - CACHE_TTL_MS) },
+      'analysis.privileges': { $exists: true },
+    }).select('analysis.privileges').lean();
+    if (cachedAnalysis) {
+      return cachedAnalysis.analysis.privileges;
+    }
+
+    const implementationAddress = await ProxyResolverService.getImplementationAddress(address, chain);
+    const addressToAnalyze = implementationAddress || address;
+    const sourceCodeData = await BlockchainService.getSourceCode(addressToAnalyze, chain);
+    const code = sourceCodeData && sourceCodeData.SourceCode
+      ? { sourceCode: sourceCodeData.SourceCode, contractName: sourceCodeData.ContractName }
+      : { bytecode: await BlockchainService.getCode(addressToAnalyze, chain) };
+    return PrivilegeService.analyze(address, chain, code);
+  }
+
   /**
    * Analyzes the source code of a verified contract.
    * @param {string} sourceCode - The contract's source code.
    * @returns {Promise<object>} - A structured analysis object.
    */
   static async analyzeVerifiedContract(sourceCode) {
-    const lowerCaseSourceCode = sourceCode.toLowerCase();
-    
-    const keywordRisks = {
-      HIGH: RISK_KEYWORDS.HIGH.filter(k => lowerCaseSourceCode.includes(k)),
-      MEDIUM: RISK_KEYWORDS.MEDIUM.filter(k => lowerCaseSourceCode.includes(k)),
-      LOW: RISK_KEYWORDS.LOW.filter(k => lowerCaseSourceCode.includes(k)),
-    };
-
-    const honeypotIndicators = analyzeHoneypotIndicators(sourceCode);
+    const { risks: keywordRisks, findings: sourceFindings } = await RuleEngineService.evaluateSource(sourceCode);
+    const { indicators: honeypotIndicators, findings: honeypotFindings } = await RuleEngineService.evaluateHoneypot(sourceCode);
 
     const needsAiAnalysis = keywordRisks.HIGH.length > 0 || keywordRisks.MEDIUM.length > 0 || honeypotIndicators.hiddenApprove;
     const aiSummary = needsAiAnalysis
@@ -99,6 +141,7 @@ class ContractAnalysisService {
     return {
       sourceCodeVerified: true,
       risks: keywordRisks,
+      findings: [...sourceFindings, ...honeypotFindings],
       honeypotIndicators,
       aiSummary,
       reason: 'Contract source code analyzed.',
@@ -108,34 +151,28 @@ class ContractAnalysisService {
   /**
    * Analyzes the bytecode of an unverified contract.
    * @param {string} bytecode - The contract's bytecode.
-   * @returns {object} - A structured analysis object.
+   * @returns {Promise<object>} - A structured analysis object.
    */
-  static analyzeUnverifiedContract(bytecode) {
+  static async analyzeUnverifiedContract(bytecode) {
     if (!bytecode || bytecode === '0x') {
       return {
         sourceCodeVerified: false,
         risks: { HIGH: [], MEDIUM: [], LOW: [] },
+        findings: [],
         honeypotIndicators: {},
         aiSummary: 'Cannot analyze, contract has no bytecode (EOA or destroyed).',
         reason: 'Contract has no bytecode.',
       };
     }
 
-    const foundRisks = { HIGH: [], MEDIUM: [], LOW: [] };
-    for (const level in RISKY_SIGNATURES) {
-      for (const signature in RISKY_SIGNATURES[level]) {
-        const selector = RISKY_SIGNATURES[level][signature];
-        if (bytecode.includes(selector.substring(2))) { // remove '0x'
-          foundRisks[level].push(signature);
-        }
-      }
-    }
+    const { risks: foundRisks, findings } = await RuleEngineService.evaluateBytecode(bytecode);
 
     return {
       sourceCodeVerified: false,
       risks: foundRisks,
+      findings,
       honeypotIndicators: {},
-      aiSummary: 'Source code is not verified. Analysis is based on function signatures found in the bytecode.',
+      aiSummary: 'Source code is not verified. Analysis is based on the functions and opcodes found by disassembling the bytecode.',
       reason: 'Unverified contract with potentially risky function signatures.',
     };
   }
@@ -0,0 +1,102 @@
+const BlockchainService = require('./blockchain.service');
+const TokenMetadataService = require('./tokenMetadata.service');
+const PriceService = require('./price.service');
+
+class ExposureService {
+  /**
+   * Enriches fungible approval findings with the amount they actually put at risk,
+   * exposure = min(allowance, balanceOf(owner)), valued in USD where a price is known.
+   * Findings need a `tokenAddress` and a `spender`; `allowanceRaw` is used when present,
+   * otherwise the live allowance is read. NFT approvals are left untouched.
+   * The findings are then ranked in place, highest USD exposure first.
+   * @param {object[]} approvals - The approval findings.
+   * @param {string} ownerAddress - The wallet address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<object[]>} The same, now ranked, array.
+   */
+  static async enrichApprovals(approvals, ownerAddress, chain) {
+    const fungibleApprovals = approvals.filter(a => a.tokenAddress && a.spender && !a.operator);
+    const tokenAddresses = [...new Set(fungibleApprovals.map(a => a.tokenAddress.toLowerCase()))];
+    if (tokenAddresses.length === 0) {
+      return approvals;
+    }
+
+    const [tokenMetadata, balances, prices] = await Promise.all([
+      TokenMetadataService.getMetadataBatch(tokenAddresses, chain),
+      this.getBalances(tokenAddresses, ownerAddress, chain),
+      PriceService.getPricesUsd(tokenAddresses, chain),
+    ]);
+
+    for (const approval of fungibleApprovals) {
+      const tokenKey = approval.tokenAddress.toLowerCase();
+      const allowance = approval.allowanceRaw !== undefined
+        ? BigInt(approval.allowanceRaw)
+        : await BlockchainService.getAllowance(approval.tokenAddress, ownerAddress, approval.spender, chain);
+      const balance = balances.get(tokenKey);
+      const exposure = allowance < balance ? allowance : balance;
+      const metadata = tokenMetadata.get(tokenKey);
+      const price = prices.get(tokenKey);
+
+      approval.tokenBalance = TokenMetadataService.formatAmount(balance, metadata);
+      approval.exposure = TokenMetadataService.formatAmount(exposure, metadata);
+      approval.exposureDisplay = TokenMetadataService.formatDisplayAmount(exposure, metadata);
+      approval.priceUsd = price !== undefined ? price : null;
+      approval.exposureUsd = price !== undefined ? this._roundUsd(Number(approval.exposure) * price) : null;
+    }
+
+    return this.rankByExposure(approvals);
+  }
+
+  /**
+   * Sorts findings in place by USD exposure, highest first. Findings without a USD value keep
+   * their relative order after the priced ones.
+   * @param {object[]} approvals - The enriched approval findings.
+   * @returns {object[]} The same array.
+   */
+  static rankByExposure(approvals) {
+    const usdOf = (approval) => (typeof approval.exposureUsd === 'number' ? approval.exposureUsd : -1);
+    return approvals.sort((a, b) => usdOf(b) - usdOf(a));
+  }
+
+  /**
+   * Sums the USD value at risk over a set of enriched findings. Several spenders approved on the
+   * same token can together take at most the wallet's balance, so each token is capped at it.
+   * @param {object[]} approvals - The enriched approval findings.
+   * @returns {number} The total value at risk, in USD.
+   */
+  static getTotalValueAtRisk(approvals) {
+    const exposureByToken = new Map();
+    approvals.forEach(approval => {
+      if (typeof approval.exposureUsd !== 'number') return;
+      const tokenKey = approval.tokenAddress.toLowerCase();
+      const entry = exposureByToken.get(tokenKey) || { exposureUsd: 0, balanceUsd: Number(approval.tokenBalance) * approval.priceUsd };
+      entry.exposureUsd += approval.exposureUsd;
+      exposureByToken.set(tokenKey, entry);
+    });
+
+    let total = 0;
+    exposureByToken.forEach(({ exposureUsd, balanceUsd }) => {
+      total += Math.min(exposureUsd, balanceUsd);
+    });
+    return this._roundUsd(total);
+  }
+
+  /**
+   * Reads the wallet's balance of each token.
+   * @param {string[]} tokenAddresses - Lowercase token addresses.
+   * @param {string} ownerAddress - The wallet address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<Map<string, bigint>>}
+   */
+  static async getBalances(tokenAddresses, ownerAddress, chain) {
+    const balances = await BlockchainService.getBalances(tokenAddresses, ownerAddress, chain);
+    return new Map(tokenAddresses.map((address, index) => [address, balances[index]]));
+  }
+
+  /** @private */
+  static _roundUsd(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = ExposureService;
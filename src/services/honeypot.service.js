@@ -0,0 +1,235 @@
+const { ethers } = require('ethers');
+const BlockchainService = require('./blockchain.service');
+const LiquidityService = require('./liquidity.service');
+const { MULTICALL3_ADDRESSES, UNISWAP_V2_ROUTERS } = require('../config/contractConfig');
+
+const ROUTER_ABI = [
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+];
+const TOKEN_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+const MULTICALL3_ABI = [
+  'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)',
+];
+const PAIR_ABI = ['function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)', 'function token0() view returns (address)'];
+
+const routerInterface = new ethers.Interface(ROUTER_ABI);
+const tokenInterface = new ethers.Interface(TOKEN_ABI);
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// Synthetic accounts that exist only inside the simulation. The holder runs Multicall3's code
+// (injected through a state override) so one eth_call can buy, transfer and sell in sequence.
+const HOLDER = ethers.getAddress(ethers.dataSlice(ethers.id('web3safetykit.honeypot.holder'), 12));
+const RECIPIENT = ethers.getAddress(ethers.dataSlice(ethers.id('web3safetykit.honeypot.recipient'), 12));
+
+// The simulated buy spends this share of the pool's wrapped native reserve, capped at 1 native coin
+const BUY_RESERVE_DIVISOR = 1000n;
+const MAX_BUY_VALUE = ethers.parseEther('1');
+
+// A sell tax at or above this percentage is reported as a honeypot, as is a reverting sell
+const HONEYPOT_TAX_PERCENT = parseFloat(process.env.HONEYPOT_SELL_TAX_PERCENT) || 50;
+
+// Multicall3 runtime code per chain, read once from the chain itself
+const multicallCodeCache = new Map();
+
+class HoneypotService {
+  /**
+   * Simulates buying, transferring and selling a token through its Uniswap V2 pool against the
+   * wrapped native token, using eth_call state overrides so nothing is signed or broadcast.
+   * Works against any node supporting the `eth_call` state override set (geth, erigon, anvil...).
+   * @param {string} tokenAddress - The token contract address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<object>} The simulation result ({ simulated, isHoneypot, buy, transfer, sell }),
+   * with `simulated: false` and a `reason` when the token cannot be simulated.
+   */
+  static async simulate(tokenAddress, chain) {
+    try {
+      return await this._simulate(tokenAddress, chain);
+    } catch (error) {
+      // Typically a node without state override support, or a token that breaks the pair reads.
+      console.warn(`[HoneypotService] Could not simulate trading of token ${tokenAddress}. Error: ${error.message}`);
+      return { simulated: false, reason: 'The trading simulation could not be run against this node.' };
+    }
+  }
+
+  /** @private */
+  static async _simulate(tokenAddress, chain) {
+    const routerAddress = UNISWAP_V2_ROUTERS[chain];
+    if (!routerAddress || !MULTICALL3_ADDRESSES[chain]) {
+      return { simulated: false, reason: `Sell simulation is not supported on ${chain}.` };
+    }
+
+    const routerInfo = await LiquidityService.getRouterInfo(routerAddress, chain);
+    const pairAddress = routerInfo && routerInfo.weth
+      ? await LiquidityService.resolvePair(routerAddress, tokenAddress, null, chain)
+      : null;
+    if (!pairAddress) {
+      return { simulated: false, reason: 'No Uniswap V2 pool pairs this token with the wrapped native token.' };
+    }
+
+    const provider = BlockchainService.getProvider(chain);
+    const blockNumber = await provider.getBlockNumber();
+    const buyValue = await this._getBuyValue(pairAddress, routerInfo.weth, chain, blockNumber);
+    if (buyValue === 0n) {
+      return { simulated: false, pairAddress, reason: 'The pool holds no liquidity.' };
+    }
+
+    const buyPath = [routerInfo.weth, tokenAddress];
+    const sellPath = [tokenAddress, routerInfo.weth];
+    const buyCalls = [
+      this._call(routerAddress, routerInterface, 'getAmountsOut', [buyValue, buyPath]),
+      this._call(routerAddress, routerInterface, 'swapExactETHForTokensSupportingFeeOnTransferTokens', [0, buyPath, HOLDER, ethers.MaxUint256], buyValue),
+      this._call(tokenAddress, tokenInterface, 'balanceOf', [HOLDER]),
+    ];
+
+    // 1. Buy, to learn how many tokens the holder ends up with.
+    const buyResults = await this._execute(buyCalls, buyValue, chain, blockNumber);
+    const expectedBought = buyResults[0].success ? this._decode(routerInterface, 'getAmountsOut', buyResults[0]).at(-1) : null;
+    const bought = buyResults[2].success ? this._decode(tokenInterface, 'balanceOf', buyResults[2]) : 0n;
+    const buy = {
+      success: buyResults[1].success,
+      revertReason: buyResults[1].success ? null : this._decodeRevert(buyResults[1].returnData),
+      taxPercent: buyResults[1].success ? this._taxPercent(expectedBought, bought) : null,
+    };
+    if (!buy.success || bought === 0n) {
+      return { simulated: true, pairAddress, router: routerAddress, blockNumber, isHoneypot: null, buy, transfer: null, sell: null, reason: 'The token cannot be bought, so selling was not simulated.' };
+    }
+
+    // 2. Replay the buy, then transfer a quarter and sell half of what was bought.
+    const transferAmount = bought / 4n;
+    const sellAmount = bought / 2n;
+    const sellResults = await this._execute([
+      ...buyCalls,
+      this._call(tokenAddress, tokenInterface, 'transfer', [RECIPIENT, transferAmount]),
+      this._call(tokenAddress, tokenInterface, 'balanceOf', [RECIPIENT]),
+      this._call(tokenAddress, tokenInterface, 'approve', [routerAddress, ethers.MaxUint256]),
+      this._call(routerAddress, routerInterface, 'getAmountsOut', [sellAmount, sellPath]),
+      this._call(routerAddress, routerInterface, 'swapExactTokensForETHSupportingFeeOnTransferTokens', [sellAmount, 0, sellPath, RECIPIENT, ethers.MaxUint256]),
+      this._call(HOLDER, multicallInterface, 'getEthBalance', [RECIPIENT]),
+    ], buyValue, chain, blockNumber);
+
+    const [, , , transferResult, receivedResult, , quoteResult, sellResult, proceedsResult] = sellResults;
+    const transfer = {
+      success: transferResult.success,
+      revertReason: transferResult.success ? null : this._decodeRevert(transferResult.returnData),
+      taxPercent: transferResult.success && receivedResult.success
+        ? this._taxPercent(transferAmount, this._decode(tokenInterface, 'balanceOf', receivedResult))
+        : null,
+    };
+    const expectedProceeds = quoteResult.success ? this._decode(routerInterface, 'getAmountsOut', quoteResult).at(-1) : null;
+    const sell = {
+      success: sellResult.success,
+      revertReason: sellResult.success ? null : this._decodeRevert(sellResult.returnData),
+      taxPercent: sellResult.success && proceedsResult.success
+        ? this._taxPercent(expectedProceeds, this._decode(multicallInterface, 'getEthBalance', proceedsResult))
+        : null,
+    };
+
+    return {
+      simulated: true,
+      pairAddress,
+      router: routerAddress,
+      blockNumber,
+      isHoneypot: !sell.success || (sell.taxPercent !== null && sell.taxPercent >= HONEYPOT_TAX_PERCENT),
+      buy,
+      transfer,
+      sell,
+    };
+  }
+
+  /**
+   * Sizes the simulated buy from the pool's wrapped native reserve.
+   * @private
+   */
+  static async _getBuyValue(pairAddress, wethAddress, chain, blockNumber) {
+    const pair = new ethers.Contract(pairAddress, PAIR_ABI, BlockchainService.getProvider(chain));
+    const [reserves, token0] = await Promise.all([pair.getReserves({ blockTag: blockNumber }), pair.token0()]);
+    const wethReserve = token0.toLowerCase() === wethAddress.toLowerCase() ? reserves[0] : reserves[1];
+    const value = wethReserve / BUY_RESERVE_DIVISOR;
+    return value < MAX_BUY_VALUE ? value : MAX_BUY_VALUE;
+  }
+
+  /**
+   * Runs a batch of calls from the synthetic holder in a single eth_call. The holder is given
+   * Multicall3's code and enough native balance for the buy; no call may abort the batch.
+   * @private
+   */
+  static async _execute(calls, value, chain, blockNumber) {
+    const provider = BlockchainService.getProvider(chain);
+    const data = multicallInterface.encodeFunctionData('aggregate3Value', [calls]);
+    const stateOverrides = {
+      [HOLDER]: {
+        code: await this._getMulticallCode(chain),
+        balance: ethers.toQuantity(value * 2n),
+      },
+    };
+    const raw = await provider.send('eth_call', [
+      { from: HOLDER, to: HOLDER, data, value: ethers.toQuantity(value) },
+      ethers.toQuantity(blockNumber),
+      stateOverrides,
+    ]);
+    return multicallInterface.decodeFunctionResult('aggregate3Value', raw)[0];
+  }
+
+  /** @private */
+  static async _getMulticallCode(chain) {
+    if (!multicallCodeCache.has(chain)) {
+      const code = await BlockchainService.getCode(MULTICALL3_ADDRESSES[chain], chain);
+      if (!code || code === '0x') {
+        throw new Error(`Multicall3 is not deployed on ${chain}.`);
+      }
+      multicallCodeCache.set(chain, code);
+    }
+    return multicallCodeCache.get(chain);
+  }
+
+  /** @private */
+  static _call(target, iface, functionName, args, value = 0n) {
+    return { target, allowFailure: true, value, callData: iface.encodeFunctionData(functionName, args) };
+  }
+
+  /** @private */
+  static _decode(iface, functionName, result) {
+    return iface.decodeFunctionResult(functionName, result.returnData)[0];
+  }
+
+  /**
+   * The share of `expected` that did not arrive, as a percentage to two decimals.
+   * @private
+   */
+  static _taxPercent(expected, received) {
+    if (!expected || expected === 0n) return null;
+    if (received >= expected) return 0;
+    return Number(((expected - received) * 10000n) / expected) / 100;
+  }
+
+  /**
+   * Extracts a readable reason from revert data (Error(string), Panic(uint256) or raw bytes).
+   * @private
+   */
+  static _decodeRevert(returnData) {
+    if (!returnData || returnData === '0x') {
+      return 'Reverted without a reason';
+    }
+    try {
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      if (returnData.startsWith('0x08c379a0')) {
+        return coder.decode(['string'], ethers.dataSlice(returnData, 4))[0];
+      }
+      if (returnData.startsWith('0x4e487b71')) {
+        return `Panic ${coder.decode(['uint256'], ethers.dataSlice(returnData, 4))[0]}`;
+      }
+    } catch (decodeError) {
+      // Fall through to the raw data
+    }
+    return returnData.length > 74 ? `${returnData.substring(0, 74)}...` : returnData;
+  }
+}
+
+module.exports = HoneypotService;
@@ -2,6 +2,7 @@ const axios = require('axios');
 const AddressLabel = require('../models/AddressLabel');
 const { providerConfig, CHAIN_ID_MAP } = require('../config/providerConfig');
 const BlockchainService = require('./blockchain.service');
+const ProxyResolverService = require('./proxyResolver.service');
 
 // A simple in-memory cache to avoid hitting the DB/API for the same address multiple times in a single run
 const labelCache = new Map();
@@ -139,7 +140,7 @@ class LabelService {
    */
   static async resolveProxy(proxyAddress, chain, provider) {
     try {
-      const implementationAddress = await BlockchainService.getImplementationAddress(proxyAddress, chain);
+      const implementationAddress = await ProxyResolverService.getImplementationAddress(proxyAddress, chain);
       if (!implementationAddress) {
         return null;
       }
@@ -0,0 +1,268 @@
+const { ethers } = require('ethers');
+const BlockchainService = require('./blockchain.service');
+const TokenMetadataService = require('./tokenMetadata.service');
+const PriceService = require('./price.service');
+const { UNISWAP_V3_FACTORIES, UNISWAP_V3_POSITION_MANAGERS } = require('../config/contractConfig');
+
+const UNISWAP_V2_ROUTER_ABI = [
+  'function factory() view returns (address)',
+  'function WETH() view returns (address)',
+];
+const UNISWAP_V2_PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address owner) view returns (uint256)',
+];
+const UNISWAP_V3_POSITION_MANAGER_ABI = [
+  'function positions(uint256 tokenId) view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function collect((uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max) params) returns (uint256 amount0, uint256 amount1)',
+];
+const UNISWAP_V3_FACTORY_ABI = ['function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'];
+const UNISWAP_V3_POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+];
+const MAX_UINT128 = (1n << 128n) - 1n;
+const Q96 = 2 ** 96;
+
+// Router -> { factory, weth }. Router immutables never change, so they are cached for the process lifetime.
+const routerCache = new Map();
+
+class LiquidityService {
+  /**
+   * Reads the factory and wrapped native token of a Uniswap V2-style router (Uniswap, Sushi, ...).
+   * @param {string} routerAddress - The router address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<{factory: string, weth: string|null}|null>} The router's immutables, or null if it is not a V2 router.
+   */
+  static async getRouterInfo(routerAddress, chain) {
+    const cacheKey = `${chain}-${routerAddress.toLowerCase()}`;
+    if (routerCache.has(cacheKey)) {
+      return routerCache.get(cacheKey);
+    }
+
+    const router = new ethers.Contract(routerAddress, UNISWAP_V2_ROUTER_ABI, BlockchainService.getProvider(chain));
+    let info = null;
+    try {
+      const [factory, weth] = await Promise.all([router.factory(), router.WETH().catch(() => null)]);
+      info = { factory, weth };
+    } catch (error) {
+      console.warn(`[LiquidityService] Could not read factory of router ${routerAddress}. Error: ${error.message}`);
+    }
+    routerCache.set(cacheKey, info);
+    return info;
+  }
+
+  /**
+   * Resolves the V2 pair a router creates for two tokens.
+   * @param {string} routerAddress - The router the liquidity was added through.
+   * @param {string} tokenA - The first token.
+   * @param {string|null} tokenB - The second token, or null for the router's wrapped native token (addLiquidityETH).
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<string|null>} The pair address, or null if it cannot be resolved.
+   */
+  static async resolvePair(routerAddress, tokenA, tokenB, chain) {
+    const routerInfo = await this.getRouterInfo(routerAddress, chain);
+    const otherToken = tokenB || (routerInfo && routerInfo.weth);
+    if (!routerInfo || !otherToken) {
+      return null;
+    }
+    return BlockchainService.getPair(routerInfo.factory, tokenA, otherToken, chain);
+  }
+
+  /**
+   * Values a wallet's share of a Uniswap V2-style pool: its LP balance over the LP total supply,
+   * applied to both reserves.
+   * @param {string} pairAddress - The pair (LP token) address.
+   * @param {string} ownerAddress - The wallet address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<object|null>} The position ({ lpBalance, sharePercent, tokens, valueUsd }), or null if the pair cannot be read.
+   */
+  static async getV2Position(pairAddress, ownerAddress, chain) {
+    const pair = new ethers.Contract(pairAddress, UNISWAP_V2_PAIR_ABI, BlockchainService.getProvider(chain));
+    let token0, token1, reserves, totalSupply, lpBalance;
+    try {
+      [token0, token1, reserves, totalSupply, lpBalance] = await Promise.all([
+        pair.token0(),
+        pair.token1(),
+        pair.getReserves(),
+        pair.totalSupply(),
+        pair.balanceOf(ownerAddress),
+      ]);
+    } catch (error) {
+      console.warn(`[LiquidityService] Could not read pair ${pairAddress}. Error: ${error.message}`);
+      return null;
+    }
+
+    if (lpBalance === 0n || totalSupply === 0n) {
+      return { pairAddress, lpBalance: '0', sharePercent: 0, tokens: [], valueUsd: 0 };
+    }
+
+    const [tokenMetadata, prices] = await Promise.all([
+      TokenMetadataService.getMetadataBatch([token0, token1], chain),
+      PriceService.getPricesUsd([token0, token1], chain),
+    ]);
+
+    const tokens = [[token0, reserves[0]], [token1, reserves[1]]].map(([address, reserve]) => {
+      const metadata = tokenMetadata.get(address.toLowerCase());
+      const amountRaw = (reserve * lpBalance) / totalSupply;
+      const amount = TokenMetadataService.formatAmount(amountRaw, metadata);
+      const priceUsd = prices.has(address.toLowerCase()) ? prices.get(address.toLowerCase()) : null;
+      return {
+        address,
+        symbol: metadata.symbol,
+        decimals: metadata.decimals,
+        amount,
+        amountDisplay: TokenMetadataService.formatDisplayAmount(amountRaw, metadata),
+        priceUsd,
+        valueUsd: priceUsd !== null ? Math.round(Number(amount) * priceUsd * 100) / 100 : null,
+      };
+    });
+
+    // One priced side is enough: both sides of a V2 pool are worth the same at the pool price.
+    const pricedToken = tokens.find(token => token.valueUsd !== null);
+    return {
+      pairAddress,
+      lpBalance: ethers.formatUnits(lpBalance, 18),
+      sharePercent: Number((lpBalance * 1000000n) / totalSupply) / 10000,
+      tokens,
+      valueUsd: pricedToken ? Math.round(pricedToken.valueUsd * 2 * 100) / 100 : null,
+    };
+  }
+
+  /**
+   * Returns the chain's Uniswap V3 NonfungiblePositionManager address.
+   * @param {string} chain - The blockchain name.
+   * @returns {string|null}
+   */
+  static getPositionManager(chain) {
+    return UNISWAP_V3_POSITION_MANAGERS[chain] || null;
+  }
+
+  /**
+   * Reads a Uniswap V3 position NFT: its liquidity and price range, whether the pool price is
+   * currently inside that range, the token amounts it holds and the fees it can collect.
+   * Uncollected fees are read by simulating `collect` from the owner, which settles the fees
+   * accrued since the last poke as well as the ones already owed.
+   * @param {string|bigint} tokenId - The position NFT id.
+   * @param {string} ownerAddress - The wallet address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<object|null>} The position, or null if it cannot be read or the wallet no longer owns it.
+   */
+  static async getV3Position(tokenId, ownerAddress, chain) {
+    const managerAddress = this.getPositionManager(chain);
+    if (!managerAddress) {
+      return null;
+    }
+
+    const provider = BlockchainService.getProvider(chain);
+    const manager = new ethers.Contract(managerAddress, UNISWAP_V3_POSITION_MANAGER_ABI, provider);
+    let owner, position;
+    try {
+      [owner, position] = await Promise.all([manager.ownerOf(tokenId), manager.positions(tokenId)]);
+    } catch (error) {
+      // Burned positions revert on both calls.
+      console.warn(`[LiquidityService] Could not read V3 position ${tokenId}. Error: ${error.message}`);
+      return null;
+    }
+    if (owner.toLowerCase() !== ownerAddress.toLowerCase()) {
+      return null;
+    }
+
+    const { token0, token1, fee, tickLower, tickUpper, liquidity } = position;
+    let fees = [position.tokensOwed0, position.tokensOwed1];
+    try {
+      const collected = await manager.collect.staticCall(
+        { tokenId, recipient: ownerAddress, amount0Max: MAX_UINT128, amount1Max: MAX_UINT128 },
+        { from: ownerAddress }
+      );
+      fees = [collected[0], collected[1]];
+    } catch (error) {
+      console.warn(`[LiquidityService] Could not simulate fee collection for V3 position ${tokenId}. Error: ${error.message}`);
+    }
+
+    let slot0 = null;
+    let poolAddress = null;
+    try {
+      const factory = new ethers.Contract(UNISWAP_V3_FACTORIES[chain], UNISWAP_V3_FACTORY_ABI, provider);
+      poolAddress = await factory.getPool(token0, token1, fee);
+      slot0 = await new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider).slot0();
+    } catch (error) {
+      console.warn(`[LiquidityService] Could not read pool of V3 position ${tokenId}. Error: ${error.message}`);
+    }
+
+    const currentTick = slot0 ? Number(slot0.tick) : null;
+    const amounts = slot0 ? this._getV3Amounts(liquidity, slot0.sqrtPriceX96, Number(tickLower), Number(tickUpper)) : [0n, 0n];
+
+    const [tokenMetadata, prices] = await Promise.all([
+      TokenMetadataService.getMetadataBatch([token0, token1], chain),
+      PriceService.getPricesUsd([token0, token1], chain),
+    ]);
+
+    const describe = (address, amountRaw) => {
+      const metadata = tokenMetadata.get(address.toLowerCase());
+      const amount = TokenMetadataService.formatAmount(amountRaw, metadata);
+      const priceUsd = prices.has(address.toLowerCase()) ? prices.get(address.toLowerCase()) : null;
+      return {
+        address,
+        symbol: metadata.symbol,
+        decimals: metadata.decimals,
+        amount,
+        amountDisplay: TokenMetadataService.formatDisplayAmount(amountRaw, metadata),
+        priceUsd,
+        valueUsd: priceUsd !== null ? Math.round(Number(amount) * priceUsd * 100) / 100 : null,
+      };
+    };
+    const tokens = [describe(token0, amounts[0]), describe(token1, amounts[1])];
+    const uncollectedFees = [describe(token0, fees[0]), describe(token1, fees[1])];
+    const sumUsd = (entries) => (entries.every(entry => entry.valueUsd !== null)
+      ? Math.round(entries.reduce((sum, entry) => sum + entry.valueUsd, 0) * 100) / 100
+      : null);
+
+    return {
+      tokenId: tokenId.toString(),
+      positionManager: managerAddress,
+      poolAddress,
+      feeTier: Number(fee),
+      feeTierPercent: Number(fee) / 10000,
+      liquidity: liquidity.toString(),
+      tickLower: Number(tickLower),
+      tickUpper: Number(tickUpper),
+      currentTick,
+      inRange: currentTick !== null ? currentTick >= Number(tickLower) && currentTick < Number(tickUpper) : null,
+      tokens,
+      uncollectedFees,
+      valueUsd: sumUsd(tokens),
+      uncollectedFeesUsd: sumUsd(uncollectedFees),
+      hasUncollectedFees: fees[0] > 0n || fees[1] > 0n,
+    };
+  }
+
+  /**
+   * Splits V3 liquidity into token amounts at the current pool price. Floating point is precise
+   * enough here: the amounts are only displayed and valued, never sent on-chain.
+   * @private
+   */
+  static _getV3Amounts(liquidity, sqrtPriceX96, tickLower, tickUpper) {
+    const L = Number(liquidity);
+    const sqrtPrice = Number(sqrtPriceX96) / Q96;
+    const sqrtLower = Math.pow(1.0001, tickLower / 2);
+    const sqrtUpper = Math.pow(1.0001, tickUpper / 2);
+
+    let amount0 = 0;
+    let amount1 = 0;
+    if (sqrtPrice <= sqrtLower) {
+      amount0 = L * (sqrtUpper - sqrtLower) / (sqrtLower * sqrtUpper);
+    } else if (sqrtPrice < sqrtUpper) {
+      amount0 = L * (sqrtUpper - sqrtPrice) / (sqrtPrice * sqrtUpper);
+      amount1 = L * (sqrtPrice - sqrtLower);
+    } else {
+      amount1 = L * (sqrtUpper - sqrtLower);
+    }
+    return [BigInt(Math.floor(amount0)), BigInt(Math.floor(amount1))];
+  }
+}
+
+module.exports = LiquidityService;
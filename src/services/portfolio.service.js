@@ -0,0 +1,208 @@
+const Wallet = require('../models/Wallet');
+const BlockchainService = require('./blockchain.service');
+const TokenMetadataService = require('./tokenMetadata.service');
+const PriceService = require('./price.service');
+
+const NATIVE_SYMBOLS = {
+  ethereum: 'ETH',
+  polygon: 'POL',
+  arbitrum: 'ETH',
+  base: 'ETH',
+  zksync: 'ETH',
+};
+
+// Wallets whose portfolios are built at once by getUserPortfolio
+const WALLET_BATCH_SIZE = 3;
+
+// Priced holdings worth less than this are reported as dust
+const DUST_THRESHOLD_USD = parseFloat(process.env.PORTFOLIO_DUST_THRESHOLD_USD) || 1;
+
+// Names and symbols used by airdropped scam tokens to lure holders to phishing sites
+const SPAM_NAME_PATTERN = /(https?:\/\/|www\.|\.(com|io|org|net|xyz|app|site|top)\b|t\.me|claim|visit|reward|airdrop|voucher|\$\s?\d)/i;
+
+class PortfolioService {
+  /**
+   * Builds the portfolio of a single wallet from its cached token and NFT transfers. Every token
+   * the wallet ever received is a candidate; live balanceOf calls decide what is still held.
+   * @param {Wallet} wallet - The wallet document.
+   * @returns {Promise<object>} The portfolio ({ native, holdings, nfts, dust, spam, totals }).
+   */
+  static async getWalletPortfolio(wallet) {
+    const { address, chain } = wallet;
+    const cache = wallet.transactionCache || {};
+    const ownerAddress = address.toLowerCase();
+
+    // Transactions the wallet sent itself; tokens only ever pushed to it by others are suspect.
+    const initiatedTxHashes = new Set((cache.txlist || [])
+      .filter(tx => tx.from && tx.from.toLowerCase() === ownerAddress)
+      .map(tx => tx.hash));
+
+    const transfersByToken = new Map();
+    (cache.tokentx || []).forEach(transfer => {
+      if (!transfer.contractAddress) return;
+      const tokenKey = transfer.contractAddress.toLowerCase();
+      if (!transfersByToken.has(tokenKey)) transfersByToken.set(tokenKey, []);
+      transfersByToken.get(tokenKey).push(transfer);
+    });
+    const tokenAddresses = Array.from(transfersByToken.keys());
+
+    const [nativeBalance, nativePriceUsd, balances, nfts] = await Promise.all([
+      BlockchainService.getNativeBalance(address, chain),
+      PriceService.getNativePriceUsd(chain),
+      BlockchainService.getBalances(tokenAddresses, address, chain),
+      this.getNftHoldings(wallet),
+    ]);
+
+    // Only the tokens still held are described and priced
+    const heldTokenAddresses = tokenAddresses.filter((tokenAddress, index) => balances[index] !== 0n);
+    const [tokenMetadata, prices] = await Promise.all([
+      TokenMetadataService.getMetadataBatch(heldTokenAddresses, chain),
+      PriceService.getPricesUsd(heldTokenAddresses, chain),
+    ]);
+
+    const nativeAmount = TokenMetadataService.formatAmount(nativeBalance, { decimals: 18 });
+    const native = {
+      symbol: NATIVE_SYMBOLS[chain] || 'ETH',
+      balance: nativeAmount,
+      priceUsd: nativePriceUsd,
+      valueUsd: nativePriceUsd !== null ? this._roundUsd(Number(nativeAmount) * nativePriceUsd) : null,
+    };
+
+    const holdings = [];
+    const dust = [];
+    const spam = [];
+    tokenAddresses.forEach((tokenAddress, index) => {
+      const balance = balances[index];
+      if (balance === 0n) return;
+
+      const metadata = tokenMetadata.get(tokenAddress);
+      const priceUsd = prices.has(tokenAddress) ? prices.get(tokenAddress) : null;
+      const amount = TokenMetadataService.formatAmount(balance, metadata);
+      const holding = {
+        tokenAddress,
+        name: metadata.name,
+        symbol: metadata.symbol,
+        decimals: metadata.decimals,
+        balance: amount,
+        balanceDisplay: TokenMetadataService.formatDisplayAmount(balance, metadata),
+        priceUsd,
+        valueUsd: priceUsd !== null ? this._roundUsd(Number(amount) * priceUsd) : null,
+      };
+
+      const spamReasons = this._getSpamReasons(metadata, transfersByToken.get(tokenAddress), initiatedTxHashes, priceUsd);
+      if (spamReasons.length > 0) {
+        spam.push({ ...holding, spamReasons });
+      } else if (holding.valueUsd !== null && holding.valueUsd < DUST_THRESHOLD_USD) {
+        dust.push(holding);
+      } else {
+        holdings.push(holding);
+      }
+    });
+
+    holdings.sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+
+    const tokensValueUsd = [...holdings, ...dust].reduce((sum, holding) => sum + (holding.valueUsd || 0), 0);
+    return {
+      walletId: wallet._id,
+      address,
+      chain,
+      native,
+      holdings,
+      nfts,
+      dust,
+      spam,
+      totals: {
+        valueUsd: this._roundUsd(tokensValueUsd + (native.valueUsd || 0)),
+        pricedHoldings: holdings.filter(holding => holding.valueUsd !== null).length,
+        unpricedHoldings: holdings.filter(holding => holding.valueUsd === null).length,
+        dustValueUsd: this._roundUsd(dust.reduce((sum, holding) => sum + holding.valueUsd, 0)),
+      },
+    };
+  }
+
+  /**
+   * Builds the combined portfolio of every wallet a user tracks, with totals per chain.
+   * Wallets that fail to load are reported with their error instead of failing the whole request.
+   * @param {string} userId - The user ID.
+   * @returns {Promise<object>} The portfolio ({ wallets, chains, totals }).
+   */
+  static async getUserPortfolio(userId) {
+    const wallets = await Wallet.find({ userId });
+    const settled = [];
+    for (let start = 0; start < wallets.length; start += WALLET_BATCH_SIZE) {
+      const batch = wallets.slice(start, start + WALLET_BATCH_SIZE);
+      settled.push(...await Promise.allSettled(batch.map(wallet => this.getWalletPortfolio(wallet))));
+    }
+
+    const portfolios = [];
+    const chains = {};
+    let totalValueUsd = 0;
+    settled.forEach((result, index) => {
+      const wallet = wallets[index];
+      if (result.status !== 'fulfilled') {
+        console.error(`[PortfolioService] Failed to build portfolio for wallet ${wallet._id}:`, result.reason && result.reason.message);
+        portfolios.push({ walletId: wallet._id, address: wallet.address, chain: wallet.chain, error: 'Failed to load this wallet.' });
+        return;
+      }
+
+      const portfolio = result.value;
+      portfolios.push(portfolio);
+      if (!chains[wallet.chain]) {
+        chains[wallet.chain] = { valueUsd: 0, wallets: 0, holdings: 0 };
+      }
+      chains[wallet.chain].valueUsd = this._roundUsd(chains[wallet.chain].valueUsd + portfolio.totals.valueUsd);
+      chains[wallet.chain].wallets += 1;
+      chains[wallet.chain].holdings += portfolio.holdings.length;
+      totalValueUsd += portfolio.totals.valueUsd;
+    });
+
+    return {
+      wallets: portfolios,
+      chains,
+      totals: { valueUsd: this._roundUsd(totalValueUsd) },
+    };
+  }
+
+  /**
+   * Lists the NFT collections (ERC721) the wallet still holds, from its cached NFT transfers.
+   * @param {Wallet} wallet - The wallet document.
+   * @returns {Promise<object[]>} The collections ({ contractAddress, name, symbol, count }).
+   */
+  static async getNftHoldings(wallet) {
+    const collections = new Map();
+    ((wallet.transactionCache && wallet.transactionCache.tokennfttx) || []).forEach(transfer => {
+      if (!transfer.contractAddress) return;
+      collections.set(transfer.contractAddress.toLowerCase(), { name: transfer.tokenName || null, symbol: transfer.tokenSymbol || null });
+    });
+
+    const contractAddresses = Array.from(collections.keys());
+    const balances = await BlockchainService.getBalances(contractAddresses, wallet.address, wallet.chain);
+    return contractAddresses
+      .map((contractAddress, index) => ({ contractAddress, ...collections.get(contractAddress), count: Number(balances[index]) }))
+      .filter(collection => collection.count > 0);
+  }
+
+  /**
+   * Collects the reasons a token looks like unsolicited spam.
+   * @private
+   */
+  static _getSpamReasons(metadata, transfers, initiatedTxHashes, priceUsd) {
+    const reasons = [];
+    const text = `${metadata.name || ''} ${metadata.symbol || ''}`;
+    if (SPAM_NAME_PATTERN.test(text)) {
+      reasons.push('Name or symbol advertises a link or reward');
+    }
+    const wasEverInitiated = transfers.some(transfer => initiatedTxHashes.has(transfer.hash));
+    if (!wasEverInitiated && priceUsd === null) {
+      reasons.push('Unsolicited token without a market price');
+    }
+    return reasons;
+  }
+
+  /** @private */
+  static _roundUsd(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = PortfolioService;
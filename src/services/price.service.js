@@ -0,0 +1,282 @@
+const { ethers } = require('ethers');
+const BlockchainService = require('./blockchain.service');
+const TokenMetadataService = require('./tokenMetadata.service');
+const {
+  CHAINLINK_USD_FEEDS,
+  STABLECOIN_ADDRESSES,
+  USDC_ADDRESSES,
+  WRAPPED_NATIVE_ADDRESSES,
+  UNISWAP_V2_FACTORIES,
+  UNISWAP_V3_FACTORIES,
+} = require('../config/contractConfig');
+
+const CHAINLINK_AGGREGATOR_ABI = [
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function decimals() view returns (uint8)',
+];
+const UNISWAP_V2_PAIR_ABI = [
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() view returns (address)',
+];
+const UNISWAP_V3_FACTORY_ABI = ['function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'];
+const UNISWAP_V3_POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() view returns (uint128)',
+  'function token0() view returns (address)',
+];
+
+const UNISWAP_V3_FEE_TIERS = [500, 3000, 10000];
+// The feeds we use have a heartbeat of at most 24h; older answers are treated as stale.
+const CHAINLINK_MAX_AGE_SECONDS = 25 * 60 * 60;
+// Pools holding less than this on their quote side are too easy to manipulate to be trusted.
+const MIN_POOL_LIQUIDITY_USD = parseInt(process.env.PRICE_MIN_POOL_LIQUIDITY_USD, 10) || 10000;
+
+// Tokens priced at once by getQuotes (each takes several calls across feeds and pools)
+const QUOTE_BATCH_SIZE = 10;
+
+// Prices are cached per block: `${chain}-${token}` -> { blockNumber, quote }
+const priceCache = new Map();
+// Feed decimals never change, so they are cached for the lifetime of the process
+const feedDecimalsCache = new Map();
+
+class PriceService {
+  /**
+   * Resolves the USD price of a single token.
+   * @param {string} tokenAddress - The token contract address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<number|null>} The price in USD, or null if it could not be derived.
+   */
+  static async getPriceUsd(tokenAddress, chain) {
+    const prices = await this.getPricesUsd([tokenAddress], chain);
+    return prices.has(tokenAddress.toLowerCase()) ? prices.get(tokenAddress.toLowerCase()) : null;
+  }
+
+  /**
+   * Resolves the USD prices of many tokens.
+   * @param {string[]} tokenAddresses - The token contract addresses.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<Map<string, number>>} A map of lowercase addresses to USD prices. Unpriced tokens are absent.
+   */
+  static async getPricesUsd(tokenAddresses, chain) {
+    const quotes = await this.getQuotes(tokenAddresses, chain);
+    const prices = new Map();
+    quotes.forEach((quote, address) => prices.set(address, quote.priceUsd));
+    return prices;
+  }
+
+  /**
+   * Resolves the USD price of the chain's native coin, via its wrapped token.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<number|null>}
+   */
+  static async getNativePriceUsd(chain) {
+    const wrappedNative = WRAPPED_NATIVE_ADDRESSES[chain];
+    return wrappedNative ? this.getPriceUsd(wrappedNative, chain) : null;
+  }
+
+  /**
+   * Resolves price quotes, trying for each token in order: a Chainlink USD feed, the most liquid
+   * Uniswap V2/V3 pool against USDC or the wrapped native token, and finally a $1 peg for known
+   * stablecoins. All reads are made at the same block, and results are cached for that block.
+   * @param {string[]} tokenAddresses - The token contract addresses.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<Map<string, {priceUsd: number, source: string, blockNumber: number}>>}
+   */
+  static async getQuotes(tokenAddresses, chain) {
+    const lowercasedAddresses = [...new Set(tokenAddresses.filter(Boolean).map(a => a.toLowerCase()))];
+    const quotes = new Map();
+    if (lowercasedAddresses.length === 0) {
+      return quotes;
+    }
+
+    let blockNumber;
+    try {
+      blockNumber = await BlockchainService.getBlockNumber(chain);
+    } catch (error) {
+      console.warn(`[PriceService] Could not get the block number on ${chain}:`, error.message);
+      return quotes;
+    }
+
+    const uncachedAddresses = [];
+    for (const address of lowercasedAddresses) {
+      const cached = priceCache.get(`${chain}-${address}`);
+      if (cached && cached.blockNumber === blockNumber) {
+        if (cached.quote) quotes.set(address, cached.quote);
+      } else {
+        uncachedAddresses.push(address);
+      }
+    }
+    if (uncachedAddresses.length === 0) {
+      return quotes;
+    }
+
+    const tokenMetadata = await TokenMetadataService.getMetadataBatch(uncachedAddresses, chain);
+    const resolved = [];
+    for (let start = 0; start < uncachedAddresses.length; start += QUOTE_BATCH_SIZE) {
+      const batch = uncachedAddresses.slice(start, start + QUOTE_BATCH_SIZE);
+      resolved.push(...await Promise.all(batch.map(address =>
+        this._resolveQuote(address, tokenMetadata.get(address), chain, blockNumber).catch(error => {
+          console.warn(`[PriceService] Could not price token ${address} on ${chain}:`, error.message);
+          return null;
+        })
+      )));
+    }
+
+    uncachedAddresses.forEach((address, index) => {
+      const quote = resolved[index];
+      priceCache.set(`${chain}-${address}`, { blockNumber, quote });
+      if (quote) quotes.set(address, quote);
+    });
+    return quotes;
+  }
+
+  /** @private */
+  static async _resolveQuote(address, metadata, chain, blockNumber) {
+    const chainlinkPrice = await this._getChainlinkPrice(address, chain, blockNumber);
+    if (chainlinkPrice !== null) {
+      return { priceUsd: chainlinkPrice, source: 'chainlink', blockNumber };
+    }
+
+    // DEX math needs the real decimals; a guessed 18 would be off by orders of magnitude.
+    if (metadata && !metadata.isFallback && metadata.standard === 'ERC20') {
+      const dexQuote = await this._getDexQuote(address, metadata.decimals, chain, blockNumber);
+      if (dexQuote) {
+        return { ...dexQuote, blockNumber };
+      }
+    }
+
+    const stablecoins = (STABLECOIN_ADDRESSES[chain] || []).map(a => a.toLowerCase());
+    if (stablecoins.includes(address)) {
+      return { priceUsd: 1, source: 'stablecoin', blockNumber };
+    }
+    return null;
+  }
+
+  /**
+   * Reads a Chainlink USD feed, ignoring non-positive or stale answers.
+   * @private
+   */
+  static async _getChainlinkPrice(address, chain, blockNumber) {
+    const feeds = CHAINLINK_USD_FEEDS[chain] || {};
+    const feedAddress = Object.keys(feeds).find(token => token.toLowerCase() === address.toLowerCase());
+    if (!feedAddress) {
+      return null;
+    }
+
+    const feed = new ethers.Contract(feeds[feedAddress], CHAINLINK_AGGREGATOR_ABI, BlockchainService.getProvider(chain));
+    try {
+      const cacheKey = `${chain}-${feeds[feedAddress]}`;
+      if (!feedDecimalsCache.has(cacheKey)) {
+        feedDecimalsCache.set(cacheKey, Number(await feed.decimals()));
+      }
+      const [, answer, , updatedAt] = await feed.latestRoundData({ blockTag: blockNumber });
+      const age = Math.floor(Date.now() / 1000) - Number(updatedAt);
+      if (answer <= 0n || age > CHAINLINK_MAX_AGE_SECONDS) {
+        return null;
+      }
+      return Number(ethers.formatUnits(answer, feedDecimalsCache.get(cacheKey)));
+    } catch (error) {
+      console.warn(`[PriceService] Could not read Chainlink feed for token ${address}. Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Prices a token from the most liquid Uniswap V2/V3 pool pairing it with USDC or the wrapped
+   * native token. Quote tokens are themselves priced through Chainlink only.
+   * @private
+   */
+  static async _getDexQuote(address, decimals, chain, blockNumber) {
+    const quoteTokens = [USDC_ADDRESSES[chain], WRAPPED_NATIVE_ADDRESSES[chain]]
+      .filter(quoteToken => quoteToken && quoteToken.toLowerCase() !== address);
+
+    const candidates = [];
+    for (const quoteToken of quoteTokens) {
+      const quoteMetadata = await TokenMetadataService.getMetadata(quoteToken, chain);
+      let quotePriceUsd = await this._getChainlinkPrice(quoteToken, chain, blockNumber);
+      if (quotePriceUsd === null && quoteToken === USDC_ADDRESSES[chain]) {
+        quotePriceUsd = 1;
+      }
+      if (quotePriceUsd === null || !quoteMetadata || quoteMetadata.isFallback) {
+        continue;
+      }
+
+      const pools = [
+        ...await this._getUniswapV2Pools(address, decimals, quoteToken, quoteMetadata.decimals, chain, blockNumber),
+        ...await this._getUniswapV3Pools(address, decimals, quoteToken, quoteMetadata.decimals, chain, blockNumber),
+      ];
+      pools.forEach(pool => candidates.push({
+        priceUsd: pool.priceInQuote * quotePriceUsd,
+        liquidityUsd: pool.quoteReserve * quotePriceUsd,
+        source: pool.source,
+        pool: pool.address,
+      }));
+    }
+
+    const best = candidates
+      .filter(candidate => candidate.liquidityUsd >= MIN_POOL_LIQUIDITY_USD && Number.isFinite(candidate.priceUsd))
+      .sort((a, b) => b.liquidityUsd - a.liquidityUsd)[0];
+    return best ? { priceUsd: best.priceUsd, source: best.source, pool: best.pool } : null;
+  }
+
+  /** @private */
+  static async _getUniswapV2Pools(address, decimals, quoteToken, quoteDecimals, chain, blockNumber) {
+    const factoryAddress = UNISWAP_V2_FACTORIES[chain];
+    if (!factoryAddress) return [];
+    const pairAddress = await BlockchainService.getPair(factoryAddress, address, quoteToken, chain);
+    if (!pairAddress) return [];
+
+    const pair = new ethers.Contract(pairAddress, UNISWAP_V2_PAIR_ABI, BlockchainService.getProvider(chain));
+    try {
+      const [[reserve0, reserve1], token0] = await Promise.all([
+        pair.getReserves({ blockTag: blockNumber }),
+        pair.token0(),
+      ]);
+      const isToken0 = token0.toLowerCase() === address;
+      const tokenReserve = Number(ethers.formatUnits(isToken0 ? reserve0 : reserve1, decimals));
+      const quoteReserve = Number(ethers.formatUnits(isToken0 ? reserve1 : reserve0, quoteDecimals));
+      if (tokenReserve === 0) return [];
+      return [{ address: pairAddress, source: 'uniswap-v2', priceInQuote: quoteReserve / tokenReserve, quoteReserve }];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /** @private */
+  static async _getUniswapV3Pools(address, decimals, quoteToken, quoteDecimals, chain, blockNumber) {
+    const factoryAddress = UNISWAP_V3_FACTORIES[chain];
+    if (!factoryAddress) return [];
+    const provider = BlockchainService.getProvider(chain);
+    const factory = new ethers.Contract(factoryAddress, UNISWAP_V3_FACTORY_ABI, provider);
+
+    const pools = await Promise.all(UNISWAP_V3_FEE_TIERS.map(async (fee) => {
+      try {
+        const poolAddress = await factory.getPool(address, quoteToken, fee);
+        if (poolAddress === ethers.ZeroAddress) return null;
+
+        const pool = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider);
+        const [slot0, liquidity, token0] = await Promise.all([
+          pool.slot0({ blockTag: blockNumber }),
+          pool.liquidity({ blockTag: blockNumber }),
+          pool.token0(),
+        ]);
+        if (slot0.sqrtPriceX96 === 0n || liquidity === 0n) return null;
+
+        // sqrtPriceX96^2 / 2^192 is the raw token1/token0 price. The active liquidity gives the
+        // virtual reserves at the current price: L * sqrtP of token1 and L / sqrtP of token0.
+        const sqrtPrice = Number(slot0.sqrtPriceX96) / 2 ** 96;
+        const rawPrice = sqrtPrice * sqrtPrice;
+        const isToken0 = token0.toLowerCase() === address;
+        const scale = 10 ** (decimals - quoteDecimals);
+        const priceInQuote = (isToken0 ? rawPrice : 1 / rawPrice) * scale;
+        const rawQuoteReserve = isToken0 ? Number(liquidity) * sqrtPrice : Number(liquidity) / sqrtPrice;
+        return { address: poolAddress, source: 'uniswap-v3', priceInQuote, quoteReserve: rawQuoteReserve / 10 ** quoteDecimals };
+      } catch (error) {
+        return null;
+      }
+    }));
+    return pools.filter(Boolean);
+  }
+}
+
+module.exports = PriceService;
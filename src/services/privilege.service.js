@@ -0,0 +1,374 @@
+const { ethers } = require('ethers');
+const parser = require('@solidity-parser/parser');
+const BlockchainService = require('./blockchain.service');
+const BytecodeService = require('./bytecode.service');
+const SourceAnalysisService = require('./sourceAnalysis.service');
+
+// What a privileged function can do to holders, recognised by its name
+const CAPABILITY_PATTERNS = {
+  mint: /mint|issue/i,
+  blacklist: /(black|block|deny)list|blacklisted|isbot|bots|freeze|sniper/i,
+  pause: /pause|trading|enableswap/i,
+  fees: /fee|tax/i,
+  maxTx: /max(tx|transaction|wallet|buy|sell|amount|holding)|limits?$/i,
+  moveFunds: /forcetransfer|admintransfer|seize|confiscate|destroyblackfunds/i,
+};
+
+// Capabilities that let the controller take or lock holders' tokens outright
+const DANGEROUS_CAPABILITIES = new Set(['mint', 'blacklist', 'pause', 'moveFunds']);
+
+// Internal transfer helpers; a privileged function passing one of its own parameters as the
+// sender can move any holder's tokens.
+const TRANSFER_FUNCTIONS = new Set(['_transfer', '_update', '_basicTransfer', '_tokenTransfer', '_burn', 'transferFrom', 'safeTransferFrom']);
+
+// Well-known privileged functions, used to read capabilities from unverified bytecode
+const PRIVILEGED_SIGNATURES = {
+  mint: ['mint(address,uint256)', 'mint(uint256)', 'issue(uint256)'],
+  blacklist: ['blacklist(address)', 'addBlackList(address)', 'addToBlacklist(address)', 'setBlacklist(address,bool)', 'blacklistAddress(address,bool)', 'setBots(address[],bool)', 'addBots(address[])', 'freeze(address)'],
+  pause: ['pause()', 'unpause()', 'enableTrading()', 'openTrading()', 'setTradingEnabled(bool)'],
+  fees: ['setFee(uint256)', 'setFees(uint256,uint256)', 'setTaxFeePercent(uint256)', 'setBuyFee(uint256)', 'setSellFee(uint256)', 'updateFees(uint256,uint256)', 'setTax(uint256)'],
+  maxTx: ['setMaxTxAmount(uint256)', 'setMaxTxPercent(uint256)', 'setMaxWalletSize(uint256)', 'setMaxWallet(uint256)', 'removeLimits()'],
+  moveFunds: ['forceTransfer(address,address,uint256)', 'adminTransfer(address,address,uint256)', 'destroyBlackFunds(address)'],
+};
+const PRIVILEGED_SELECTORS = Object.fromEntries(Object.entries(PRIVILEGED_SIGNATURES).map(([capability, signatures]) => [
+  capability,
+  Object.fromEntries(signatures.map(signature => [signature, ethers.id(signature).slice(0, 10)])),
+]));
+
+const CONTROL_ABI = [
+  'function owner() view returns (address)',
+  'function getOwner() view returns (address)',
+  'function getRoleMemberCount(bytes32 role) view returns (uint256)',
+  'function getRoleMember(bytes32 role, uint256 index) view returns (address)',
+  'function getThreshold() view returns (uint256)', // Gnosis Safe
+  'function getOwners() view returns (address[])', // Gnosis Safe
+  'function getMinDelay() view returns (uint256)', // OpenZeppelin TimelockController
+  'function delay() view returns (uint256)', // Compound Timelock
+];
+
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dead';
+// Role members listed per role; enumerable roles rarely have more
+const MAX_ROLE_MEMBERS = 5;
+
+const RISK_ORDER = ['NONE', 'LOW', 'MEDIUM', 'HIGH'];
+
+class PrivilegeService {
+  /**
+   * Reports who can hurt a contract's holders: the owner- or role-gated functions that can mint,
+   * blacklist, pause, change fees, cap transactions or move holders' tokens, and whether the
+   * owner and role members are renounced, an EOA, a multisig or a timelock.
+   * @param {string} address - The contract address. For proxies, the proxy itself, which holds the state.
+   * @param {string} chain - The blockchain name.
+   * @param {object} code - { sourceCode, contractName } for verified contracts, otherwise { bytecode }.
+   * @returns {Promise<object>} The report ({ basis, privilegedFunctions, capabilities, controllers, ownershipStatus, centralizationRisk }).
+   */
+  static async analyze(address, chain, { sourceCode, contractName, bytecode } = {}) {
+    const privilegedFunctions = sourceCode
+      ? this.findPrivilegedFunctions(sourceCode, contractName)
+      : this._findPrivilegedSelectors(bytecode);
+    const capabilities = [...new Set(privilegedFunctions.flatMap(f => f.capabilities))];
+
+    const controllers = capabilities.length > 0 ? await this._getControllers(address, privilegedFunctions, chain) : [];
+    const ownerController = controllers.find(c => c.role === 'owner');
+
+    return {
+      basis: sourceCode ? 'source' : 'bytecode',
+      privilegedFunctions,
+      capabilities,
+      controllers,
+      ownershipStatus: ownerController ? ownerController.type : null,
+      centralizationRisk: this._assessRisk(capabilities, controllers),
+    };
+  }
+
+  /**
+   * Finds the public functions of a verified contract that are restricted to an owner or role
+   * and can affect holders. Only the named contract and the contracts it inherits are searched,
+   * so unused dependencies bundled with the sources are ignored.
+   * @param {string} sourceCode - The `SourceCode` field returned by Etherscan.
+   * @param {string} [contractName] - The deployed contract's name.
+   * @returns {object[]} The functions ({ name, capabilities, guard, role, file, line }).
+   */
+  static findPrivilegedFunctions(sourceCode, contractName) {
+    const contracts = new Map();
+    for (const { path, content } of SourceAnalysisService.unpackSources(sourceCode)) {
+      let ast;
+      try {
+        ast = parser.parse(content, { loc: true });
+      } catch (error) {
+        continue;
+      }
+      ast.children
+        .filter(node => node.type === 'ContractDefinition' && node.kind !== 'interface' && node.kind !== 'library')
+        .forEach(node => contracts.set(node.name, { node, path }));
+    }
+
+    const functions = [];
+    for (const { node, path } of this._getLineage(contracts, contractName)) {
+      node.subNodes
+        .filter(sub => sub.type === 'FunctionDefinition' && sub.name && ['public', 'external'].includes(sub.visibility))
+        .forEach(fn => {
+          const guard = this._getGuard(fn);
+          if (!guard) return;
+          const capabilities = this._getCapabilities(fn);
+          if (capabilities.length === 0) return;
+          functions.push({ name: fn.name, capabilities, guard: guard.guard, role: guard.role, file: path, line: fn.loc ? fn.loc.start.line : null });
+        });
+    }
+    return functions;
+  }
+
+  /**
+   * Classifies who sits behind an address: nobody (renounced), an EOA, a Gnosis Safe multisig,
+   * a timelock or some other contract.
+   * @param {string|null} address - The controlling address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<object>} The classification ({ address, type, threshold?, owners?, delaySeconds? }).
+   */
+  static async classifyHolder(address, chain) {
+    if (!address) {
+      return { address: null, type: 'unknown' };
+    }
+    const lowerAddress = address.toLowerCase();
+    if (lowerAddress === ethers.ZeroAddress || lowerAddress === DEAD_ADDRESS) {
+      return { address: lowerAddress, type: 'renounced' };
+    }
+
+    const code = await BlockchainService.getCode(address, chain);
+    if (code === null) {
+      return { address: lowerAddress, type: 'unknown' };
+    }
+    // EIP-7702 delegated accounts are still controlled by a single private key.
+    if (code === '0x' || code.startsWith('0xef0100')) {
+      return { address: lowerAddress, type: 'eoa' };
+    }
+
+    const [threshold, owners, minDelay, delay] = await Promise.all([
+      this._call(address, 'getThreshold', [], chain),
+      this._call(address, 'getOwners', [], chain),
+      this._call(address, 'getMinDelay', [], chain),
+      this._call(address, 'delay', [], chain),
+    ]);
+    if (threshold !== null && owners !== null) {
+      return { address: lowerAddress, type: 'multisig', threshold: Number(threshold), owners: owners.length };
+    }
+    if (minDelay !== null || delay !== null) {
+      return { address: lowerAddress, type: 'timelock', delaySeconds: Number(minDelay !== null ? minDelay : delay) };
+    }
+    return { address: lowerAddress, type: 'contract' };
+  }
+
+  /**
+   * Orders the named contract and its base contracts, most derived first. Falls back to every
+   * contract when the name is unknown.
+   * @private
+   */
+  static _getLineage(contracts, contractName) {
+    if (!contractName || !contracts.has(contractName)) {
+      return Array.from(contracts.values());
+    }
+    const lineage = [];
+    const seen = new Set();
+    const queue = [contractName];
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (seen.has(name) || !contracts.has(name)) continue;
+      seen.add(name);
+      const contract = contracts.get(name);
+      lineage.push(contract);
+      queue.push(...contract.node.baseContracts.map(base => base.baseName.namePath.split('.').pop()));
+    }
+    return lineage;
+  }
+
+  /**
+   * Works out how a function restricts its callers: an `only*` modifier (with the role for
+   * `onlyRole`), an `_checkOwner`/`_checkRole` call, or a `msg.sender` comparison or `hasRole`
+   * check in a require or if statement.
+   * @private
+   */
+  static _getGuard(fn) {
+    for (const modifier of fn.modifiers || []) {
+      if (/^only/i.test(modifier.name) || modifier.name === 'auth') {
+        const roleArgument = modifier.arguments && modifier.arguments[0];
+        return { guard: modifier.name, role: roleArgument ? this._getRoleName(roleArgument) : null };
+      }
+    }
+    if (!fn.body) return null;
+
+    let guard = null;
+    const checkCondition = (condition) => {
+      if (guard || !condition) return;
+      parser.visit(condition, {
+        FunctionCall: (call) => {
+          if (!guard && this._calleeName(call) === 'hasRole' && call.arguments.length > 0) {
+            guard = { guard: 'hasRole', role: this._getRoleName(call.arguments[0]) };
+          }
+        },
+        BinaryOperation: (operation) => {
+          if (!guard && ['==', '!='].includes(operation.operator)
+            && (this._isSender(operation.left) || this._isSender(operation.right))) {
+            guard = { guard: 'msg.sender check', role: null };
+          }
+        },
+      });
+    };
+
+    parser.visit(fn.body, {
+      FunctionCall: (call) => {
+        const name = this._calleeName(call);
+        if (guard) return;
+        if (name === '_checkOwner') guard = { guard: '_checkOwner', role: null };
+        if (name === '_checkRole' && call.arguments.length > 0) guard = { guard: '_checkRole', role: this._getRoleName(call.arguments[0]) };
+        if (name === 'require' || name === 'assert') checkCondition(call.arguments[0]);
+      },
+      IfStatement: (statement) => checkCondition(statement.condition),
+    });
+    return guard;
+  }
+
+  /**
+   * Capabilities from the function's name, plus moveFunds when it hands one of its own
+   * parameters to a transfer helper as the sender.
+   * @private
+   */
+  static _getCapabilities(fn) {
+    const capabilities = Object.keys(CAPABILITY_PATTERNS).filter(capability => CAPABILITY_PATTERNS[capability].test(fn.name));
+    if (capabilities.includes('moveFunds') || !fn.body) return capabilities;
+
+    const parameters = new Set((fn.parameters || []).map(p => p.name).filter(Boolean));
+    let movesFunds = false;
+    parser.visit(fn.body, {
+      FunctionCall: (call) => {
+        const from = call.arguments[0];
+        if (TRANSFER_FUNCTIONS.has(this._calleeName(call)) && from && from.type === 'Identifier' && parameters.has(from.name)) {
+          movesFunds = true;
+        }
+      },
+    });
+    return movesFunds ? [...capabilities, 'moveFunds'] : capabilities;
+  }
+
+  /**
+   * Reads privileged selectors from the dispatcher of unverified bytecode. Whether they are
+   * actually restricted cannot be told, so the guard is reported as unknown.
+   * @private
+   */
+  static _findPrivilegedSelectors(bytecode) {
+    if (!bytecode || bytecode === '0x') return [];
+    const selectors = new Set(BytecodeService.analyze(bytecode).selectors);
+    const functions = new Map();
+    Object.entries(PRIVILEGED_SELECTORS).forEach(([capability, signatures]) => {
+      Object.entries(signatures).forEach(([signature, selector]) => {
+        if (!selectors.has(selector)) return;
+        if (!functions.has(signature)) {
+          functions.set(signature, { name: signature, capabilities: [], guard: 'unknown', role: null, file: null, line: null });
+        }
+        functions.get(signature).capabilities.push(capability);
+      });
+    });
+    return Array.from(functions.values());
+  }
+
+  /**
+   * Reads the live owner and the members of every role gating a privileged function.
+   * @private
+   */
+  static async _getControllers(address, privilegedFunctions, chain) {
+    const controllers = [];
+
+    const owner = (await this._call(address, 'owner', [], chain)) || (await this._call(address, 'getOwner', [], chain));
+    if (owner !== null) {
+      controllers.push({ role: 'owner', ...(await this.classifyHolder(owner, chain)) });
+    }
+
+    const roles = new Set(privilegedFunctions.map(f => f.role).filter(Boolean));
+    // Without an owner, the admin role is usually what guards the contract.
+    if (owner === null) roles.add('DEFAULT_ADMIN_ROLE');
+
+    for (const role of roles) {
+      const roleHash = role === 'DEFAULT_ADMIN_ROLE' ? ethers.ZeroHash : ethers.id(role);
+      const count = await this._call(address, 'getRoleMemberCount', [roleHash], chain);
+      if (count === null) continue; // Not enumerable
+      if (count === 0n) {
+        controllers.push({ role, address: null, type: 'renounced' });
+        continue;
+      }
+      for (let index = 0; index < Math.min(Number(count), MAX_ROLE_MEMBERS); index++) {
+        const member = await this._call(address, 'getRoleMember', [roleHash, index], chain);
+        controllers.push({ role, ...(await this.classifyHolder(member, chain)) });
+      }
+    }
+    return controllers;
+  }
+
+  /**
+   * The worst case over all controllers. Holder-draining capabilities in the hands of a single
+   * key are HIGH; a multisig lowers that to MEDIUM and a timelock, which gives holders time to
+   * exit, to LOW. Renounced control leaves nobody able to call the functions.
+   * @private
+   */
+  static _assessRisk(capabilities, controllers) {
+    if (capabilities.length === 0) return 'NONE';
+    const dangerous = capabilities.some(capability => DANGEROUS_CAPABILITIES.has(capability));
+    if (controllers.length === 0) return 'MEDIUM'; // Nobody identifiable, so assume the worst short of a known key
+
+    const levels = controllers.map(controller => {
+      switch (controller.type) {
+        case 'renounced':
+          return 'NONE';
+        case 'timelock':
+          return 'LOW';
+        case 'multisig':
+          if (controller.threshold > 1) return dangerous ? 'MEDIUM' : 'LOW';
+          return dangerous ? 'HIGH' : 'MEDIUM';
+        case 'eoa':
+          return dangerous ? 'HIGH' : 'MEDIUM';
+        default:
+          return 'MEDIUM';
+      }
+    });
+    return levels.reduce((worst, level) => (RISK_ORDER.indexOf(level) > RISK_ORDER.indexOf(worst) ? level : worst), 'NONE');
+  }
+
+  /** @private */
+  static _calleeName(call) {
+    const { expression } = call;
+    if (expression.type === 'Identifier') return expression.name;
+    if (expression.type === 'MemberAccess') return expression.memberName;
+    return null;
+  }
+
+  /** @private */
+  static _isSender(node) {
+    if (node.type === 'MemberAccess') {
+      return node.memberName === 'sender' && node.expression.type === 'Identifier' && node.expression.name === 'msg';
+    }
+    return node.type === 'FunctionCall' && this._calleeName(node) === '_msgSender';
+  }
+
+  /**
+   * Role constants follow OpenZeppelin's `keccak256("NAME")` convention, so the identifier is enough to hash them.
+   * @private
+   */
+  static _getRoleName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberAccess') return node.memberName;
+    return null;
+  }
+
+  /**
+   * Calls one of the view functions in CONTROL_ABI, returning null when it is not implemented.
+   * @private
+   */
+  static async _call(address, functionName, args, chain) {
+    const contract = new ethers.Contract(address, CONTROL_ABI, BlockchainService.getProvider(chain));
+    try {
+      return await contract[functionName](...args);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = PrivilegeService;
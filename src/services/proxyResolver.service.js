@@ -0,0 +1,169 @@
+const { ethers } = require('ethers');
+const BlockchainService = require('./blockchain.service');
+
+// Storage slots where proxies keep their implementation, admin and beacon
+const SLOTS = {
+  EIP1967_IMPLEMENTATION: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  EIP1967_ADMIN: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+  EIP1967_BEACON: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  EIP1822_PROXIABLE: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7',
+  ZEPPELINOS_IMPLEMENTATION: '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3',
+  ZEPPELINOS_ADMIN: '0x10d6a54a4754c8869d6886b5f5d7fbfa5b4522237ea5c60d11bc4e7a1ff9390b',
+};
+
+// EIP-1167 minimal proxy runtime code, with the implementation address in the middle
+const EIP1167_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const PROXY_ABI = [
+  'function implementation() view returns (address)', // Beacons
+  'function masterCopy() view returns (address)', // Gnosis Safe proxies
+  'function proxiableUUID() view returns (bytes32)', // UUPS implementations
+  'function owner() view returns (address)', // ProxyAdmin, beacons and UUPS implementations
+];
+
+class ProxyResolverService {
+  /**
+   * Works out whether a contract is a proxy and, if so, where its code lives and who can change it.
+   * Recognises EIP-1167 minimal proxies, EIP-1967 transparent and UUPS proxies, EIP-1967 beacon
+   * proxies, legacy ZeppelinOS proxies, EIP-1822 proxies and Gnosis Safe proxies.
+   * @param {string} address - The contract address.
+   * @param {string} chain - The blockchain name.
+   * @param {object} [options={}] - { throwOnError: true } rethrows failed reads, which would
+   * otherwise look like a contract that is not a proxy or has no admin.
+   * @returns {Promise<object>} The resolution ({ isProxy, proxyType, implementationAddress, adminAddress, adminOwner, beaconAddress }).
+   */
+  static async resolve(address, chain, options = {}) {
+    const notProxy = { isProxy: false, proxyType: null, implementationAddress: null, adminAddress: null, adminOwner: null, beaconAddress: null };
+
+    const code = await BlockchainService.getCode(address, chain);
+    if (code === null && options.throwOnError) {
+      throw new Error(`Could not read the code of ${address}.`);
+    }
+    if (!code || code === '0x') {
+      return notProxy;
+    }
+
+    // Minimal proxies are immutable: no admin can ever change their implementation.
+    const cloneMatch = code.match(EIP1167_PATTERN);
+    if (cloneMatch) {
+      return { ...notProxy, isProxy: true, proxyType: 'eip1167', implementationAddress: ethers.getAddress(`0x${cloneMatch[1]}`) };
+    }
+
+    const [implementation, admin, beacon, proxiable, zeppelinImplementation, zeppelinAdmin] = await Promise.all([
+      this._readAddressSlot(address, SLOTS.EIP1967_IMPLEMENTATION, chain, options),
+      this._readAddressSlot(address, SLOTS.EIP1967_ADMIN, chain, options),
+      this._readAddressSlot(address, SLOTS.EIP1967_BEACON, chain, options),
+      this._readAddressSlot(address, SLOTS.EIP1822_PROXIABLE, chain, options),
+      this._readAddressSlot(address, SLOTS.ZEPPELINOS_IMPLEMENTATION, chain, options),
+      this._readAddressSlot(address, SLOTS.ZEPPELINOS_ADMIN, chain, options),
+    ]);
+
+    if (implementation) {
+      // A transparent proxy keeps its admin in the admin slot; a UUPS proxy lets the
+      // implementation authorise upgrades, usually to the owner it exposes through the proxy.
+      const isUups = !admin && await this._isUupsImplementation(implementation, chain);
+      const adminAddress = admin || (isUups ? await this._call(address, 'owner', chain, options) : null);
+      return {
+        ...notProxy,
+        isProxy: true,
+        proxyType: isUups ? 'uups' : 'eip1967',
+        implementationAddress: implementation,
+        adminAddress,
+        adminOwner: admin ? await this._call(admin, 'owner', chain, options) : null,
+      };
+    }
+
+    if (beacon) {
+      // Every proxy of a beacon upgrades at once when the beacon's owner repoints it.
+      return {
+        ...notProxy,
+        isProxy: true,
+        proxyType: 'beacon',
+        implementationAddress: await this._call(beacon, 'implementation', chain, options),
+        adminAddress: await this._call(beacon, 'owner', chain, options),
+        beaconAddress: beacon,
+      };
+    }
+
+    if (zeppelinImplementation) {
+      return {
+        ...notProxy,
+        isProxy: true,
+        proxyType: 'zeppelinos',
+        implementationAddress: zeppelinImplementation,
+        adminAddress: zeppelinAdmin,
+        adminOwner: zeppelinAdmin ? await this._call(zeppelinAdmin, 'owner', chain, options) : null,
+      };
+    }
+
+    if (proxiable) {
+      return { ...notProxy, isProxy: true, proxyType: 'eip1822', implementationAddress: proxiable, adminAddress: await this._call(address, 'owner', chain, options) };
+    }
+
+    // Safe proxies answer masterCopy() themselves; only the Safe's owners can change it, through the Safe.
+    const masterCopy = await this._call(address, 'masterCopy', chain, options);
+    if (masterCopy && await BlockchainService.isContract(masterCopy, chain)) {
+      return { ...notProxy, isProxy: true, proxyType: 'safe', implementationAddress: masterCopy, adminAddress: ethers.getAddress(address) };
+    }
+
+    return notProxy;
+  }
+
+  /**
+   * Shorthand for the implementation address of a proxy.
+   * @param {string} address - The contract address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<string|null>} The implementation address, or null if the contract is not a proxy.
+   */
+  static async getImplementationAddress(address, chain) {
+    const { implementationAddress } = await this.resolve(address, chain);
+    return implementationAddress;
+  }
+
+  /**
+   * Reads a storage slot holding an address.
+   * @private
+   */
+  static async _readAddressSlot(address, slot, chain, options = {}) {
+    try {
+      const value = await BlockchainService.getProvider(chain).getStorage(address, slot);
+      const slotAddress = ethers.getAddress(ethers.dataSlice(value, 12));
+      return slotAddress === ethers.ZeroAddress ? null : slotAddress;
+    } catch (error) {
+      console.warn(`[ProxyResolverService] Could not read slot ${slot} of ${address}. Error: ${error.message}`);
+      if (options.throwOnError) throw error;
+      return null;
+    }
+  }
+
+  /**
+   * UUPS implementations answer proxiableUUID() with the EIP-1967 implementation slot.
+   * @private
+   */
+  static async _isUupsImplementation(implementation, chain) {
+    const contract = new ethers.Contract(implementation, PROXY_ABI, BlockchainService.getProvider(chain));
+    try {
+      return (await contract.proxiableUUID()) === SLOTS.EIP1967_IMPLEMENTATION;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Calls one of the address getters in PROXY_ABI, returning null when it is not implemented.
+   * With { throwOnError: true }, failures other than a revert or an empty answer are rethrown.
+   * @private
+   */
+  static async _call(address, functionName, chain, options = {}) {
+    const contract = new ethers.Contract(address, PROXY_ABI, BlockchainService.getProvider(chain));
+    try {
+      const result = await contract[functionName]();
+      return result === ethers.ZeroAddress ? null : result;
+    } catch (error) {
+      if (options.throwOnError && error.code !== 'CALL_EXCEPTION' && error.code !== 'BAD_DATA') throw error;
+      return null;
+    }
+  }
+}
+
+module.exports = ProxyResolverService;
@@ -0,0 +1,192 @@
+const { getApprovalId } = require('../workers/approval.worker');
+
+// Fields whose change is reported for an item present in both snapshots
+const APPROVAL_FIELDS = ['riskLevel', 'allowanceRaw', 'isUnlimited', 'permitStatus', 'neverExpires', 'ruleIds'];
+const CONTRACT_FIELDS = ['verified', 'ruleIds', 'centralizationRisk', 'ownershipStatus'];
+const POSITION_FIELDS = ['isIdle', 'isForgotten', 'isOutOfRange'];
+
+class ReportDiffService {
+  /**
+   * Compares two report snapshots of the same wallet.
+   * @param {object} fromReport - The older snapshot.
+   * @param {object} toReport - The newer snapshot.
+   * @returns {object} The score delta, and the added, removed and changed approvals, contracts and
+   * positions, plus the proxy upgrades first reported in the newer snapshot. Changed items list
+   * each changed field with its old and new value.
+   */
+  static diff(fromReport, toReport) {
+    const from = fromReport.details || {};
+    const to = toReport.details || {};
+
+    const approvals = this._diffItems(
+      this._sectionItems(from.approvalAnalysis).map(this._normalizeApproval),
+      this._sectionItems(to.approvalAnalysis).map(this._normalizeApproval),
+      APPROVAL_FIELDS
+    );
+    const contracts = this._diffItems(this._normalizeContracts(from.contractAnalysis), this._normalizeContracts(to.contractAnalysis), CONTRACT_FIELDS);
+    const positions = this._diffItems(
+      this._sectionItems(from.lpStakeAnalysis).map(this._normalizePosition),
+      this._sectionItems(to.lpStakeAnalysis).map(this._normalizePosition),
+      POSITION_FIELDS
+    );
+    const upgrades = this._diffItems(
+      this._sectionItems(from.upgradeWatch).map(this._normalizeUpgrade),
+      this._sectionItems(to.upgradeWatch).map(this._normalizeUpgrade),
+      []
+    );
+
+    return {
+      from: this._describe(fromReport),
+      to: { ...this._describe(toReport), carriedOverSections: toReport.carriedOverSections || [] },
+      score: this._diffScore(fromReport, toReport),
+      approvals,
+      contracts,
+      positions,
+      upgrades: { added: upgrades.added },
+      summary: {
+        newApprovals: approvals.added.length,
+        revokedApprovals: approvals.removed.length,
+        newlyRiskyContracts: contracts.added.length,
+        openedPositions: positions.added.length,
+        closedPositions: positions.removed.length,
+        newUpgrades: upgrades.added.length,
+      },
+    };
+  }
+
+  /**
+   * Splits two lists of { key, item, fields } into added, removed and changed items.
+   * @private
+   */
+  static _diffItems(fromItems, toItems, fields) {
+    const previous = new Map(fromItems.map(entry => [entry.key, entry]));
+    const current = new Map(toItems.map(entry => [entry.key, entry]));
+
+    const added = toItems.filter(entry => !previous.has(entry.key)).map(entry => entry.item);
+    const removed = fromItems.filter(entry => !current.has(entry.key)).map(entry => entry.item);
+    const changed = [];
+    toItems.forEach(entry => {
+      const before = previous.get(entry.key);
+      if (!before) return;
+      const changes = fields
+        .filter(field => JSON.stringify(before.fields[field]) !== JSON.stringify(entry.fields[field]))
+        .map(field => ({ field, from: before.fields[field] ?? null, to: entry.fields[field] ?? null }));
+      if (changes.length > 0) changed.push({ item: entry.item, changes });
+    });
+    return { added, removed, changed };
+  }
+
+  /** @private */
+  static _diffScore(fromReport, toReport) {
+    const previousFactors = new Map(((fromReport.details && fromReport.details.riskBreakdown) || []).map(f => [f.factor, f]));
+    const factors = ((toReport.details && toReport.details.riskBreakdown) || [])
+      .map(f => {
+        const before = previousFactors.get(f.factor);
+        const fromPoints = before ? before.points : 0;
+        return { factor: f.factor, label: f.label, from: fromPoints, to: f.points, delta: f.points - fromPoints };
+      })
+      .filter(f => f.delta !== 0);
+    return { from: fromReport.riskScore, to: toReport.riskScore, delta: toReport.riskScore - fromReport.riskScore, factors };
+  }
+
+  /** @private */
+  static _describe(report) {
+    return { reportId: report._id, scanRunId: report.scanRunId, createdAt: report.createdAt, riskScore: report.riskScore };
+  }
+
+  /** @private */
+  static _sectionItems(section) {
+    return (section && section.items) || [];
+  }
+
+  /** @private */
+  static _normalizeApproval(approval) {
+    return {
+      key: approval.id || getApprovalId(approval),
+      item: approval,
+      fields: {
+        riskLevel: approval.riskLevel,
+        allowanceRaw: approval.allowanceRaw,
+        isUnlimited: approval.isUnlimited,
+        permitStatus: approval.permitStatus,
+        neverExpires: approval.neverExpires,
+        ruleIds: (approval.findings || []).map(f => f.ruleId).sort(),
+      },
+    };
+  }
+
+  /**
+   * Merges the contract lists of a contract analysis into one entry per address, since a contract
+   * can both carry risky findings and be centrally controlled.
+   * @param {object} contractAnalysis - The `contractAnalysis` section of a report.
+   * @returns {{address: string, label: string, verified: boolean|null, findings: object[], privileges: object|null}[]}
+   * The contracts; `verified` is null for contracts only reported for their privileges.
+   */
+  static mergeContracts(contractAnalysis) {
+    const analysis = contractAnalysis || {};
+    const verifiedWithRisks = analysis.verifiedContractsWithRisks || [];
+    const contracts = new Map();
+    const entryOf = (contract) => {
+      const key = contract.address.toLowerCase();
+      if (!contracts.has(key)) {
+        contracts.set(key, { address: contract.address, label: contract.label, verified: null, findings: [], privileges: null });
+      }
+      return contracts.get(key);
+    };
+
+    (analysis.unverifiedContracts || []).forEach(contract => {
+      entryOf(contract).verified = false;
+    });
+    [...(analysis.unverifiedWithRisks || []), ...verifiedWithRisks].forEach(contract => {
+      const entry = entryOf(contract);
+      entry.verified = verifiedWithRisks.includes(contract);
+      entry.findings.push(...(contract.findings || []));
+    });
+    (analysis.privilegedContracts || []).forEach(contract => {
+      entryOf(contract).privileges = contract;
+    });
+    return Array.from(contracts.values());
+  }
+
+  /** @private */
+  static _normalizeContracts(contractAnalysis) {
+    return this.mergeContracts(contractAnalysis).map(contract => ({
+      key: contract.address.toLowerCase(),
+      item: contract,
+      fields: {
+        verified: contract.verified,
+        ruleIds: [...new Set(contract.findings.map(f => f.ruleId))].sort(),
+        centralizationRisk: contract.privileges ? contract.privileges.centralizationRisk : null,
+        ownershipStatus: contract.privileges ? contract.privileges.ownershipStatus : null,
+      },
+    }));
+  }
+
+  /** @private */
+  static _normalizePosition(position) {
+    let key;
+    if (position.positionType === 'uniswap-v3') {
+      key = `v3-${position.tokenId}`;
+    } else if (position.pairAddress) {
+      key = `lp-${position.pairAddress}`;
+    } else {
+      key = `stake-${position.contractAddress}-${position.pid !== undefined ? position.pid : ''}`;
+    }
+    return {
+      key: key.toLowerCase(),
+      item: position,
+      fields: { isIdle: !!position.isIdle, isForgotten: !!position.isForgotten, isOutOfRange: !!position.isOutOfRange },
+    };
+  }
+
+  /** @private */
+  static _normalizeUpgrade(upgrade) {
+    return {
+      key: `${upgrade.address}-${upgrade.implementationAddress}-${upgrade.adminAddress}`.toLowerCase(),
+      item: upgrade,
+      fields: {},
+    };
+  }
+}
+
+module.exports = ReportDiffService;
@@ -0,0 +1,287 @@
+const PDFDocument = require('pdfkit');
+const ReportDiffService = require('./reportDiff.service');
+
+// Bump whenever a field of the exported JSON is renamed, removed or changes meaning
+const SCHEMA_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'category', 'type', 'address', 'label', 'counterparty', 'counterpartyLabel', 'riskLevel',
+  'ruleIds', 'detail', 'valueUsd', 'revokeTarget', 'revokeCalldata',
+];
+
+const BRAND = {
+  name: 'Web3 Wallet Safety Kit',
+  color: '#1b2a4a',
+  accent: '#3d7bfd',
+  muted: '#6b7280',
+};
+const RISK_COLORS = { high: '#d93025', medium: '#f29900', low: '#188038' };
+
+class ReportExportService {
+  /**
+   * Converts a report snapshot to the stable export schema shared by every export format.
+   * @param {object} report - The report snapshot (lean).
+   * @param {object} wallet - The wallet it belongs to.
+   * @returns {object} The export document; see SCHEMA_VERSION.
+   */
+  static toJson(report, wallet) {
+    const details = report.details || {};
+    const itemsOf = (section) => (details[section] && details[section].items) || [];
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      wallet: {
+        id: String(wallet._id),
+        address: wallet.address,
+        chain: wallet.chain,
+        label: wallet.label || null,
+      },
+      report: {
+        id: String(report._id),
+        scanRunId: report.scanRunId ? String(report.scanRunId) : null,
+        createdAt: new Date(report.createdAt).toISOString(),
+        riskScore: report.riskScore,
+        summary: report.summary,
+        carriedOverSections: report.carriedOverSections || [],
+      },
+      riskBreakdown: (details.riskBreakdown || []).map(factor => ({
+        factor: factor.factor,
+        label: factor.label,
+        weight: factor.weight,
+        points: factor.points,
+        evidence: (factor.evidence || []).map(item => ({ points: item.points, description: item.description, ruleIds: item.ruleIds })),
+      })),
+      approvals: itemsOf('approvalAnalysis').map(approval => ({
+        type: approval.type,
+        asset: approval.tokenAddress || approval.contractAddress,
+        assetLabel: approval.tokenLabel || approval.contractLabel || null,
+        assetSymbol: approval.tokenSymbol || null,
+        spender: approval.spender || approval.operator,
+        spenderLabel: approval.spenderLabel || approval.operatorLabel || null,
+        allowance: approval.allowanceDisplay || approval.allowance || (approval.type === 'NFT' ? 'All tokens' : null),
+        isUnlimited: !!approval.isUnlimited,
+        expiresAt: approval.deadline || approval.expiration || null,
+        valueAtRiskUsd: typeof approval.exposureUsd === 'number' ? approval.exposureUsd : null,
+        riskLevel: approval.riskLevel || null,
+        ruleIds: (approval.findings || []).map(f => f.ruleId),
+        revoke: approval.revoke ? { target: approval.revoke.target, calldata: approval.revoke.calldata } : null,
+      })),
+      contracts: ReportDiffService.mergeContracts(details.contractAnalysis).map(contract => ({
+        address: contract.address,
+        label: contract.label || null,
+        verified: contract.verified,
+        findings: contract.findings.map(f => ({ ruleId: f.ruleId, name: f.name, severity: f.severity, file: f.file || null, line: f.line || null })),
+        centralizationRisk: contract.privileges ? contract.privileges.centralizationRisk : null,
+        ownershipStatus: contract.privileges ? contract.privileges.ownershipStatus : null,
+        capabilities: contract.privileges ? contract.privileges.capabilities : [],
+      })),
+      positions: itemsOf('lpStakeAnalysis').map(position => ({
+        kind: this._positionKind(position),
+        contract: position.contractAddress,
+        contractLabel: position.label || null,
+        pair: position.pairAddress || null,
+        pairLabel: position.pairLabel || null,
+        tokenId: position.tokenId || null,
+        valueUsd: position.valueUsd ?? position.stakedValueUsd ?? null,
+        openedAt: position.openedAt || null,
+        idleDays: position.idleDays ?? null,
+        flags: ['isIdle', 'isForgotten', 'isOutOfRange'].filter(flag => position[flag]),
+      })),
+      upgrades: itemsOf('upgradeWatch').map(upgrade => ({
+        address: upgrade.address,
+        proxyType: upgrade.proxyType,
+        implementationAddress: upgrade.implementationAddress,
+        adminAddress: upgrade.adminAddress,
+        implementationChanged: !!upgrade.implementationChanged,
+        adminChanged: !!upgrade.adminChanged,
+        detectedAt: upgrade.detectedAt,
+      })),
+    };
+  }
+
+  /**
+   * Renders the findings of a report as CSV, one row per approval, contract and position.
+   * @param {object} report - The report snapshot (lean).
+   * @param {object} wallet - The wallet it belongs to.
+   * @returns {string} The CSV document.
+   */
+  static toCsv(report, wallet) {
+    const exported = this.toJson(report, wallet);
+    const rows = [
+      ...exported.approvals.map(a => ({
+        category: 'approval',
+        type: a.type,
+        address: a.asset,
+        label: a.assetLabel,
+        counterparty: a.spender,
+        counterpartyLabel: a.spenderLabel,
+        riskLevel: a.riskLevel,
+        ruleIds: a.ruleIds.join(' '),
+        detail: [a.allowance, a.expiresAt && `expires ${a.expiresAt}`].filter(Boolean).join(', '),
+        valueUsd: a.valueAtRiskUsd,
+        revokeTarget: a.revoke && a.revoke.target,
+        revokeCalldata: a.revoke && a.revoke.calldata,
+      })),
+      ...exported.contracts.map(c => ({
+        category: 'contract',
+        type: c.verified === null ? 'privileged' : (c.verified ? 'verified' : 'unverified'),
+        address: c.address,
+        label: c.label,
+        riskLevel: c.centralizationRisk && c.centralizationRisk.toLowerCase(),
+        ruleIds: [...new Set(c.findings.map(f => f.ruleId))].join(' '),
+        detail: [
+          [...new Set(c.findings.map(f => f.name))].join('; '),
+          c.capabilities.length > 0 && `controlled by ${c.ownershipStatus || 'unknown'}: ${c.capabilities.join(', ')}`,
+        ].filter(Boolean).join(' | '),
+      })),
+      ...exported.positions.map(p => ({
+        category: 'position',
+        type: p.kind,
+        address: p.contract,
+        label: p.contractLabel,
+        counterparty: p.pair,
+        counterpartyLabel: p.pairLabel,
+        detail: [p.tokenId && `token #${p.tokenId}`, ...p.flags].filter(Boolean).join(', '),
+        valueUsd: p.valueUsd,
+      })),
+    ];
+
+    const lines = [CSV_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(CSV_COLUMNS.map(column => this._csvCell(row[column])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Renders a report as a branded PDF.
+   * @param {object} report - The report snapshot (lean).
+   * @param {object} wallet - The wallet it belongs to.
+   * @returns {Promise<Buffer>} The PDF document.
+   */
+  static toPdf(report, wallet) {
+    const exported = this.toJson(report, wallet);
+    const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: `Wallet security report ${wallet.address}`, Author: BRAND.name } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND.color);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(20).text(BRAND.name, 50, 28);
+    doc.font('Helvetica').fontSize(11).text('Wallet Security Report', 50, 55);
+    doc.moveDown(3);
+
+    // Wallet and score
+    const scoreLevel = exported.report.riskScore >= 70 ? 'high' : (exported.report.riskScore >= 40 ? 'medium' : 'low');
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(12).text(exported.wallet.label || 'Wallet', 50, 110);
+    doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted)
+      .text(`${exported.wallet.address} (${exported.wallet.chain})`)
+      .text(`Report ${exported.report.id} of ${exported.report.createdAt}, exported ${exported.generatedAt}`);
+    doc.font('Helvetica-Bold').fontSize(28).fillColor(RISK_COLORS[scoreLevel]).text(`${exported.report.riskScore}/100`, 400, 108, { width: 145, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted).text('Risk score', 400, 142, { width: 145, align: 'right' });
+    doc.x = 50;
+    doc.y = 170;
+    if (exported.report.carriedOverSections.length > 0) {
+      doc.fontSize(8).text(`Carried over from the previous report: ${exported.report.carriedOverSections.join(', ')}`);
+    }
+
+    this._pdfSection(doc, 'Score breakdown');
+    exported.riskBreakdown.forEach(factor => {
+      this._pdfLine(doc, `${factor.label}: ${factor.points}/${factor.weight}`, true);
+      (factor.evidence || []).forEach(item => this._pdfLine(doc, `+${item.points}  ${item.description}`));
+    });
+
+    this._pdfSection(doc, `Active approvals (${exported.approvals.length})`);
+    exported.approvals.forEach(a => {
+      this._pdfLine(doc, `${a.assetLabel || a.asset} to ${a.spenderLabel || a.spender}`, true, a.riskLevel);
+      this._pdfLine(doc, [
+        a.type,
+        a.allowance,
+        a.valueAtRiskUsd !== null && `$${a.valueAtRiskUsd.toLocaleString('en-US')} at risk`,
+        a.riskLevel && `${a.riskLevel} risk`,
+        a.revoke && `revoke via ${a.revoke.target}`,
+      ].filter(Boolean).join(' · '));
+    });
+
+    this._pdfSection(doc, `Flagged contracts (${exported.contracts.length})`);
+    exported.contracts.forEach(c => {
+      this._pdfLine(doc, `${c.label || c.address}${c.verified === false ? ' (unverified)' : ''}`, true, c.centralizationRisk && c.centralizationRisk.toLowerCase());
+      c.findings.forEach(f => this._pdfLine(doc, `${f.severity} ${f.name}${f.file ? ` at ${f.file}:${f.line}` : ''}`));
+      if (c.capabilities.length > 0) {
+        this._pdfLine(doc, `Controlled by ${c.ownershipStatus || 'unknown'}, can ${c.capabilities.join(', ')}`);
+      }
+    });
+
+    this._pdfSection(doc, `LP and staking positions (${exported.positions.length})`);
+    exported.positions.forEach(p => {
+      this._pdfLine(doc, `${p.contractLabel || p.contract}${p.pairLabel ? ` / ${p.pairLabel}` : ''}${p.tokenId ? ` #${p.tokenId}` : ''}`, true);
+      this._pdfLine(doc, [p.kind, p.valueUsd !== null && `$${p.valueUsd.toLocaleString('en-US')}`, ...p.flags].filter(Boolean).join(' · '));
+    });
+
+    if (exported.upgrades.length > 0) {
+      this._pdfSection(doc, `Proxy upgrades (${exported.upgrades.length})`);
+      exported.upgrades.forEach(u => {
+        this._pdfLine(doc, u.address, true);
+        this._pdfLine(doc, [u.implementationChanged && `implementation now ${u.implementationAddress}`, u.adminChanged && `admin now ${u.adminAddress}`].filter(Boolean).join(' · '));
+      });
+    }
+
+    // Footer on every page
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor(BRAND.muted).text(
+        `${BRAND.name} · Revoke calldata for every approval is included in the CSV export · Page ${i + 1} of ${range.count}`,
+        50,
+        doc.page.height - 40,
+        { width: doc.page.width - 100, align: 'center', lineBreak: false }
+      );
+    }
+
+    doc.end();
+    return done;
+  }
+
+  /** @private */
+  static _positionKind(position) {
+    if (position.positionType === 'uniswap-v3') return 'uniswap-v3';
+    return position.pairAddress ? 'liquidity' : 'staking';
+  }
+
+  /**
+   * Quotes a CSV cell, and defuses values a spreadsheet would run as a formula (labels come from
+   * third parties).
+   * @private
+   */
+  static _csvCell(value) {
+    if (value === null || value === undefined || value === false) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /** @private */
+  static _pdfSection(doc, title) {
+    if (doc.y > doc.page.height - 120) doc.addPage();
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(BRAND.color).text(title, 50);
+    doc.moveTo(50, doc.y + 2).lineTo(doc.page.width - 50, doc.y + 2).strokeColor(BRAND.accent).lineWidth(1).stroke();
+    doc.moveDown(0.5);
+  }
+
+  /** @private */
+  static _pdfLine(doc, text, bold = false, riskLevel = null) {
+    if (doc.y > doc.page.height - 70) doc.addPage();
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      .fontSize(bold ? 10 : 9)
+      .fillColor(bold && RISK_COLORS[riskLevel] ? RISK_COLORS[riskLevel] : (bold ? '#000000' : BRAND.muted))
+      .text(text, bold ? 50 : 62, doc.y, { width: doc.page.width - (bold ? 100 : 112) });
+  }
+}
+
+module.exports = ReportExportService;
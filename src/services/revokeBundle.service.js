@@ -0,0 +1,174 @@
+const { ethers } = require('ethers');
+const Report = require('../models/Report');
+const BlockchainService = require('./blockchain.service');
+const { CHAIN_ID_MAP } = require('../config/providerConfig');
+const { MULTICALL3_ADDRESSES } = require('../config/contractConfig');
+const { getApprovalId } = require('../workers/approval.worker');
+
+const multicall3Interface = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+
+// Version of the Safe Transaction Builder app whose JSON format we produce
+const SAFE_TX_BUILDER_VERSION = '1.16.5';
+
+/**
+ * Service for turning the revoke actions of a wallet's approval findings into a single
+ * ready-to-submit bundle, in the formats understood by the common wallet types.
+ */
+class RevokeBundleService {
+  /**
+   * Builds a revoke bundle from the latest report of a wallet.
+   * @param {object} wallet - The wallet document.
+   * @param {string[]} [findingIds] - The ids of the approval findings to revoke. Defaults to every revocable finding.
+   * @returns {Promise<object|null>} The bundle, or null if the wallet has no report yet.
+   */
+  static async buildForWallet(wallet, findingIds) {
+    const report = await Report.findOne({ walletId: wallet._id }).sort({ createdAt: -1 }).lean();
+    if (!report) {
+      return null;
+    }
+    const findings = (report.details && report.details.approvalAnalysis && report.details.approvalAnalysis.items) || [];
+    return this.buildBundle(wallet.address, wallet.chain, findings, findingIds);
+  }
+
+  /**
+   * Builds a revoke bundle from a list of approval findings.
+   * Requested findings that do not exist, or carry no revoke action, are reported back instead of
+   * being bundled.
+   * @param {string} walletAddress - The wallet that will send the revokes.
+   * @param {string} chain - The blockchain name.
+   * @param {object[]} findings - The approval findings from the report.
+   * @param {string[]} [findingIds] - The ids of the findings to revoke.
+   * @returns {Promise<object>} The bundle ({ calls, walletSendCalls, multicall3, safeTransactionBuilder, ... }).
+   */
+  static async buildBundle(walletAddress, chain, findings, findingIds) {
+    const chainId = CHAIN_ID_MAP[chain];
+    if (!chainId) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+
+    const findingsById = new Map(findings.map(finding => [(finding.id || getApprovalId(finding)).toLowerCase(), finding]));
+    const requestedIds = Array.isArray(findingIds) && findingIds.length > 0
+      ? [...new Set(findingIds.map(id => String(id).toLowerCase()))]
+      : Array.from(findingsById.keys());
+
+    const selected = [];
+    const notFound = [];
+    const notRevocable = [];
+    for (const id of requestedIds) {
+      const finding = findingsById.get(id);
+      if (!finding) {
+        notFound.push(id);
+      } else if (!finding.revoke || !finding.revoke.target || !finding.revoke.calldata) {
+        notRevocable.push(id);
+      } else {
+        selected.push({ id, finding });
+      }
+    }
+
+    // Estimate every call on its own, from the wallet, so a single failing revoke is easy to spot.
+    const estimates = await Promise.all(selected.map(({ finding }) =>
+      BlockchainService.estimateGas({ from: walletAddress, to: finding.revoke.target, data: finding.revoke.calldata }, chain)
+    ));
+
+    const calls = selected.map(({ id, finding }, index) => ({
+      findingId: id,
+      type: finding.type,
+      to: ethers.getAddress(finding.revoke.target),
+      data: finding.revoke.calldata,
+      value: '0x0',
+      gas: estimates[index] !== null ? estimates[index].toString() : null,
+    }));
+    const totalGas = estimates.reduce((sum, estimate) => sum + (estimate || 0n), 0n);
+
+    return {
+      walletAddress,
+      chain,
+      chainId,
+      calls,
+      estimatedGas: totalGas.toString(),
+      unestimatedCalls: calls.filter(call => call.gas === null).map(call => call.findingId),
+      notFound,
+      notRevocable,
+      walletSendCalls: this.toWalletSendCalls(walletAddress, chainId, calls),
+      multicall3: this.toMulticall3(chain, calls),
+      safeTransactionBuilder: this.toSafeTransactionBuilder(walletAddress, chainId, calls),
+    };
+  }
+
+  /**
+   * Formats the calls as an EIP-5792 `wallet_sendCalls` request. Revokes are independent of
+   * each other, so atomic execution is not required.
+   * @param {string} walletAddress - The sending wallet.
+   * @param {number} chainId - The chain ID.
+   * @param {object[]} calls - The bundle calls.
+   * @returns {object} The JSON-RPC request ({ method, params }).
+   */
+  static toWalletSendCalls(walletAddress, chainId, calls) {
+    return {
+      method: 'wallet_sendCalls',
+      params: [{
+        version: '2.0.0',
+        chainId: ethers.toQuantity(chainId),
+        from: walletAddress,
+        atomicRequired: false,
+        calls: calls.map(({ to, data, value }) => ({ to, data, value })),
+      }],
+    };
+  }
+
+  /**
+   * Formats the calls as a single Multicall3 `aggregate3` call, for smart wallets without native
+   * batching. Approvals are tied to msg.sender, so the wallet must DELEGATECALL Multicall3 (e.g. a
+   * Safe transaction with operation 1); a plain call would revoke Multicall3's own approvals.
+   * @param {string} chain - The blockchain name.
+   * @param {object[]} calls - The bundle calls.
+   * @returns {object|null} The batch ({ to, data, operation, value }), or null if Multicall3 is not deployed on the chain.
+   */
+  static toMulticall3(chain, calls) {
+    const multicall3Address = MULTICALL3_ADDRESSES[chain];
+    if (!multicall3Address || calls.length === 0) {
+      return null;
+    }
+    return {
+      to: multicall3Address,
+      // allowFailure: an already-revoked approval should not block the rest of the batch
+      data: multicall3Interface.encodeFunctionData('aggregate3', [calls.map(({ to, data }) => [to, true, data])]),
+      value: '0',
+      operation: 1, // DELEGATECALL
+    };
+  }
+
+  /**
+   * Formats the calls as a Safe Transaction Builder batch file, which can be imported in the
+   * Safe{Wallet} Transaction Builder app.
+   * @param {string} safeAddress - The Safe address.
+   * @param {number} chainId - The chain ID.
+   * @param {object[]} calls - The bundle calls.
+   * @returns {object} The batch file contents.
+   */
+  static toSafeTransactionBuilder(safeAddress, chainId, calls) {
+    return {
+      version: '1.0',
+      chainId: String(chainId),
+      createdAt: Date.now(),
+      meta: {
+        name: 'Revoke approvals',
+        description: `Revokes ${calls.length} token approval(s)`,
+        txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+        createdFromSafeAddress: safeAddress,
+        createdFromOwnerAddress: '',
+      },
+      transactions: calls.map(({ to, data }) => ({
+        to,
+        value: '0',
+        data,
+        contractMethod: null,
+        contractInputsValues: null,
+      })),
+    };
+  }
+}
+
+module.exports = RevokeBundleService;
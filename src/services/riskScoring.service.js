@@ -0,0 +1,263 @@
+/**
+ * The factors a wallet is scored on and the most points each can contribute. They add up to 100.
+ */
+const FACTORS = {
+  approvals: { label: 'Active approvals', weight: 35 },
+  contractInteractions: { label: 'Contract interactions', weight: 30 },
+  positions: { label: 'LP and staking positions', weight: 10 },
+  activity: { label: 'Wallet activity', weight: 15 },
+  counterparties: { label: 'Counterparties', weight: 10 },
+};
+
+// Points per piece of evidence that no risk rule weighs
+const POINTS = {
+  UNVERIFIED_CONTRACT: 3,
+  MAX_PER_CONTRACT: 15, // A single contract cannot fill the whole factor
+  CENTRALIZED_HIGH: 5, // A single key can mint, blacklist, pause or move holders' tokens
+  CENTRALIZED_MEDIUM: 2,
+  IDLE_POSITION: 3,
+  FORGOTTEN_POSITION: 3,
+  OUT_OF_RANGE_POSITION: 1,
+  POTENTIAL_POSITION: 2, // Guest scans only see the deposit, not whether it is still funded
+  LOW_ACTIVITY: 7,
+  NEW_WALLET: 8,
+  UNLABELED_COUNTERPARTY: 2,
+  UPGRADED_PROXY: 5,
+};
+
+const LOW_ACTIVITY_TRANSACTIONS = 10;
+const NEW_WALLET_DAYS = 30;
+
+// How the controller of a privileged contract is described
+const CONTROLLER_NAMES = { eoa: 'a single wallet', multisig: 'a multisig', timelock: 'a timelock', contract: 'a contract' };
+
+// What a guest scan does not check, shown on the factors it leaves incomplete
+const GUEST_SCAN_UNASSESSED = {
+  approvals: 'Permit2 allowances are only flagged, not read or rated.',
+  contractInteractions: 'Who controls the contracts (owner keys, multisigs, timelocks) is not checked.',
+  counterparties: 'Proxy upgrades are only tracked for monitored wallets.',
+};
+
+// Display names fall back to a shortened address when an address has no label
+const SHORTENED_ADDRESS = /^0x[0-9a-f]{4}\.\.\.[0-9a-f]{4}$/i;
+
+class RiskScoringService {
+  /**
+   * Scores a wallet from the details of its worker report.
+   * @param {object} details - The `details` of a Report (approvalAnalysis, contractAnalysis, lpStakeAnalysis, activityMetrics, upgradeWatch).
+   * @returns {{score: number, factors: object[]}} The score and its breakdown (see score()).
+   */
+  static scoreReport(details = {}) {
+    const contractAnalysis = details.contractAnalysis || {};
+    const contracts = [
+      ...(contractAnalysis.unverifiedContracts || []).map(c => ({ address: c.address, label: c.label, verified: false, findings: [] })),
+      ...(contractAnalysis.unverifiedWithRisks || []).map(c => ({ address: c.address, label: c.label, verified: false, findings: c.findings || [] })),
+      ...(contractAnalysis.verifiedContractsWithRisks || []).map(c => ({ address: c.address, label: c.label, verified: true, findings: c.findings || [] })),
+    ];
+
+    return this.score({
+      approvals: (details.approvalAnalysis && details.approvalAnalysis.items) || [],
+      contracts,
+      privilegedContracts: contractAnalysis.privilegedContracts || [],
+      positions: ((details.lpStakeAnalysis && details.lpStakeAnalysis.items) || []).map(p => ({
+        address: p.contractAddress,
+        label: p.label,
+        isIdle: !!p.isIdle,
+        isForgotten: !!p.isForgotten,
+        isOutOfRange: !!p.isOutOfRange,
+      })),
+      activity: details.activityMetrics || null,
+      upgradedProxies: (details.upgradeWatch && details.upgradeWatch.items) || [],
+    });
+  }
+
+  /**
+   * Scores a wallet from the raw per-chain results of a guest scan, once labels were added.
+   * @param {object} rawResults - The guest scan results by chain ({ data: { approvals, contracts, lpPositions, activity } }).
+   * @returns {{score: number, factors: object[]}} The score and its breakdown (see score()).
+   */
+  static scoreGuestScan(rawResults) {
+    const approvals = [];
+    const contractsByAddress = new Map();
+    const positions = [];
+    // Chains without transactions still count, as the worker scores a wallet without any the same way
+    const activity = { transactionCount: 0, walletAgeDays: 0 };
+    const scannedChains = Object.values(rawResults).filter(result => !result.error).length;
+
+    Object.entries(rawResults).forEach(([chain, result]) => {
+      if (!result.data) return;
+      const { data } = result;
+      data.approvals.forEach(a => approvals.push({ ...a, chain }));
+
+      // One contract can raise several alerts (honeypot indicators and risky constructs).
+      data.contracts.forEach(c => {
+        const key = `${chain}-${c.address.toLowerCase()}`;
+        if (!contractsByAddress.has(key)) {
+          contractsByAddress.set(key, { address: c.address, label: c.contractLabel, chain, verified: c.verified, findings: [] });
+        }
+        contractsByAddress.get(key).findings.push(...(c.findings || []));
+      });
+
+      data.lpPositions.forEach(lp => positions.push({ address: lp.address, label: lp.positionLabel, chain, isPotential: true }));
+
+      if (data.activity) {
+        activity.transactionCount += data.activity.transactionCount;
+        activity.walletAgeDays = Math.max(activity.walletAgeDays, data.activity.walletAgeDays);
+      }
+    });
+
+    return this.score({
+      approvals,
+      contracts: Array.from(contractsByAddress.values()),
+      privilegedContracts: [],
+      positions,
+      activity: scannedChains > 0 ? activity : null,
+      upgradedProxies: [],
+      unassessed: GUEST_SCAN_UNASSESSED,
+    });
+  }
+
+  /**
+   * Scores normalized wallet evidence. Each factor adds up the points of its evidence, capped at
+   * the factor's weight, and the score is the sum of the factors.
+   * @param {object} input - { approvals, contracts, privilegedContracts, positions, activity, upgradedProxies }, and
+   * optionally `unassessed`: for the factors the caller could not fully check, a note on what is missing.
+   * @returns {{score: number, factors: {factor: string, label: string, weight: number, points: number, evidence: object[], unassessed?: string}[]}}
+   * The score from 0 to 100, and for every factor its weight, the points it contributed and the evidence behind them.
+   */
+  static score(input) {
+    const evidence = {
+      approvals: this._approvalEvidence(input.approvals),
+      contractInteractions: this._contractEvidence(input.contracts, input.privilegedContracts),
+      positions: this._positionEvidence(input.positions),
+      activity: this._activityEvidence(input.activity),
+      counterparties: this._counterpartyEvidence(input.approvals, input.upgradedProxies),
+    };
+
+    const factors = Object.entries(FACTORS).map(([factor, { label, weight }]) => {
+      const items = evidence[factor].sort((a, b) => b.points - a.points);
+      const points = Math.min(items.reduce((sum, item) => sum + item.points, 0), weight);
+      const unassessed = input.unassessed && input.unassessed[factor];
+      return { factor, label, weight, points, evidence: items, ...(unassessed ? { unassessed } : {}) };
+    });
+
+    return {
+      score: Math.min(factors.reduce((sum, factor) => sum + factor.points, 0), 100),
+      factors,
+    };
+  }
+
+  /**
+   * Each approval scores the weights of the approval rules it matched.
+   * @private
+   */
+  static _approvalEvidence(approvals) {
+    return approvals
+      .filter(a => a.findings && a.findings.length > 0)
+      .map(a => {
+        const counterparty = a.spenderLabel || a.operatorLabel || a.spender || a.operator;
+        const asset = a.tokenLabel || a.contractLabel || a.tokenAddress || a.contractAddress;
+        return {
+          points: a.findings.reduce((sum, finding) => sum + finding.weight, 0),
+          description: `${a.findings.map(f => f.name).join(', ')}: ${asset} to ${counterparty}${typeof a.exposureUsd === 'number' ? ` ($${a.exposureUsd.toLocaleString('en-US')} at risk)` : ''}`,
+          ruleIds: a.findings.map(f => f.ruleId),
+          address: a.spender || a.operator,
+          chain: a.chain,
+        };
+      });
+  }
+
+  /**
+   * Each contract scores the weights of the distinct rules it triggered, or a flat amount when it
+   * is unverified and triggered none. Centralized control over a contract adds to it.
+   * @private
+   */
+  static _contractEvidence(contracts, privilegedContracts) {
+    const items = contracts.map(contract => {
+      const rules = new Map(contract.findings.map(f => [f.ruleId, f]));
+      if (rules.size === 0) {
+        return contract.verified ? null : {
+          points: POINTS.UNVERIFIED_CONTRACT,
+          description: `Unverified contract: ${contract.label || contract.address}`,
+          ruleIds: [],
+          address: contract.address,
+          chain: contract.chain,
+        };
+      }
+      const findings = Array.from(rules.values());
+      return {
+        points: Math.min(findings.reduce((sum, f) => sum + f.weight, 0), POINTS.MAX_PER_CONTRACT),
+        description: `${contract.verified ? 'Verified' : 'Unverified'} contract ${contract.label || contract.address}: ${findings.map(f => f.name).join(', ')}`,
+        ruleIds: findings.map(f => f.ruleId),
+        address: contract.address,
+        chain: contract.chain,
+      };
+    }).filter(Boolean);
+
+    privilegedContracts.forEach(contract => {
+      items.push({
+        points: contract.centralizationRisk === 'HIGH' ? POINTS.CENTRALIZED_HIGH : POINTS.CENTRALIZED_MEDIUM,
+        description: `${contract.label || contract.address} is controlled by ${CONTROLLER_NAMES[contract.ownershipStatus] || 'an unidentified party'} and can: ${contract.capabilities.join(', ')}`,
+        ruleIds: [],
+        address: contract.address,
+      });
+    });
+    return items;
+  }
+
+  /** @private */
+  static _positionEvidence(positions) {
+    return positions.map(position => {
+      const name = position.label || position.address;
+      if (position.isPotential) {
+        return { points: POINTS.POTENTIAL_POSITION, description: `Potential forgotten LP/staking position in ${name}`, ruleIds: [], address: position.address, chain: position.chain };
+      }
+      if (position.isIdle) {
+        return { points: POINTS.IDLE_POSITION, description: `Idle staking position in ${name}`, ruleIds: [], address: position.address };
+      }
+      if (position.isForgotten) {
+        return { points: POINTS.FORGOTTEN_POSITION, description: `Forgotten liquidity position in ${name}`, ruleIds: [], address: position.address };
+      }
+      if (position.isOutOfRange) {
+        return { points: POINTS.OUT_OF_RANGE_POSITION, description: `Out-of-range liquidity position in ${name}`, ruleIds: [], address: position.address };
+      }
+      return null;
+    }).filter(Boolean);
+  }
+
+  /** @private */
+  static _activityEvidence(activity) {
+    if (!activity) return [];
+    const items = [];
+    if (activity.transactionCount < LOW_ACTIVITY_TRANSACTIONS) {
+      items.push({ points: POINTS.LOW_ACTIVITY, description: `Low activity: ${activity.transactionCount} transactions`, ruleIds: [] });
+    }
+    if (activity.walletAgeDays < NEW_WALLET_DAYS) {
+      items.push({ points: POINTS.NEW_WALLET, description: `New wallet: ${activity.walletAgeDays} days of history`, ruleIds: [] });
+    }
+    return items;
+  }
+
+  /**
+   * Unidentified spenders holding approvals, and approved or used proxies whose code changed.
+   * @private
+   */
+  static _counterpartyEvidence(approvals, upgradedProxies) {
+    const items = [];
+    const seen = new Set();
+    approvals.forEach(a => {
+      const address = a.spender || a.operator;
+      const label = a.spenderLabel || a.operatorLabel;
+      if (!address || seen.has(address.toLowerCase())) return;
+      if (label && label !== 'Unknown' && !SHORTENED_ADDRESS.test(label)) return;
+      seen.add(address.toLowerCase());
+      items.push({ points: POINTS.UNLABELED_COUNTERPARTY, description: `Unidentified spender holding an approval: ${address}`, ruleIds: [], address, chain: a.chain });
+    });
+    upgradedProxies.forEach(proxy => {
+      items.push({ points: POINTS.UPGRADED_PROXY, description: `Contract upgraded since it was ${proxy.holdsApproval ? 'approved' : 'used'}: ${proxy.address}`, ruleIds: [], address: proxy.address });
+    });
+    return items;
+  }
+}
+
+module.exports = RiskScoringService;
@@ -0,0 +1,338 @@
+const { ethers } = require('ethers');
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const PoolWatch = require('../models/PoolWatch');
+const BlockchainService = require('./blockchain.service');
+const NotificationService = require('./notification.service');
+const TokenMetadataService = require('./tokenMetadata.service');
+const PriceService = require('./price.service');
+const LabelService = require('./label.service');
+const {
+  UNISWAP_V2_FACTORIES,
+  WRAPPED_NATIVE_ADDRESSES,
+  STABLECOIN_ADDRESSES,
+  LP_LOCKER_ADDRESSES,
+} = require('../config/contractConfig');
+
+const UNISWAP_V2_PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address owner) view returns (uint256)',
+];
+
+// LP tokens sent here can never be redeemed, so they count as locked.
+const BURN_ADDRESSES = [ethers.ZeroAddress, '0x000000000000000000000000000000000000dEaD'];
+
+// A quote reserve falling by this share from its peak is reported as a drain
+const DRAIN_PERCENT = parseFloat(process.env.RUG_MONITOR_DRAIN_PERCENT) || 50;
+// Alerts kept on a pool watch; older ones are dropped
+const MAX_STORED_ALERTS = 50;
+// LP burns and lock removals are reported from this share of the LP supply
+const LP_MOVE_PERCENT = parseFloat(process.env.RUG_MONITOR_LP_PERCENT) || 10;
+
+class RugMonitorService {
+  /**
+   * Rebuilds the pool watch list from every wallet's exposure: the V2 pairs it provides
+   * liquidity to, and the wrapped-native pair of every token it still holds. Pools no wallet is
+   * exposed to anymore stop being watched.
+   * @returns {Promise<number>} The number of watched pools.
+   */
+  static async syncWatches() {
+    // Only the transfer fields needed to tell which tokens are still held
+    const wallets = await Wallet.find({})
+      .select('_id address chain transactionCache.tokentx.contractAddress transactionCache.tokentx.from transactionCache.tokentx.to transactionCache.tokentx.value')
+      .lean();
+    const walletsByPool = new Map(); // `${chain}-${pair}` -> { chain, pairAddress, walletIds }
+    const pairCache = new Map(); // `${chain}-${token}` -> pair address or null, shared by wallets holding the same token
+
+    for (const wallet of wallets) {
+      const pairAddresses = await this.getExposedPairs(wallet, pairCache);
+      pairAddresses.forEach(pairAddress => {
+        const key = `${wallet.chain}-${pairAddress.toLowerCase()}`;
+        if (!walletsByPool.has(key)) {
+          walletsByPool.set(key, { chain: wallet.chain, pairAddress: pairAddress.toLowerCase(), walletIds: [] });
+        }
+        walletsByPool.get(key).walletIds.push(wallet._id);
+      });
+    }
+
+    const watchIds = [];
+    for (const { chain, pairAddress, walletIds } of walletsByPool.values()) {
+      const watch = await PoolWatch.findOneAndUpdate(
+        { pairAddress, chain },
+        { $set: { walletIds } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      watchIds.push(watch._id);
+    }
+    await PoolWatch.deleteMany({ _id: { $nin: watchIds } });
+    return watchIds.length;
+  }
+
+  /**
+   * Lists the V2 pairs a wallet is exposed to. Only tokens the wallet received more of than it
+   * sent are checked on-chain, so tokens it sold or moved out long ago cost no RPC calls.
+   * @param {Wallet} wallet - The wallet document.
+   * @param {Map<string, string|null>} [pairCache] - Wrapped-native pairs already looked up, by `${chain}-${token}`.
+   * @returns {Promise<string[]>} The pair addresses.
+   */
+  static async getExposedPairs(wallet, pairCache = new Map()) {
+    const pairs = new Set();
+
+    const report = await Report.findOne({ walletId: wallet._id }).sort({ createdAt: -1 }).select('details.lpStakeAnalysis').lean();
+    const lpItems = (report && report.details && report.details.lpStakeAnalysis && report.details.lpStakeAnalysis.items) || [];
+    lpItems.filter(item => item.pairAddress).forEach(item => pairs.add(item.pairAddress.toLowerCase()));
+
+    const factoryAddress = UNISWAP_V2_FACTORIES[wallet.chain];
+    const wrappedNative = WRAPPED_NATIVE_ADDRESSES[wallet.chain];
+    if (factoryAddress && wrappedNative) {
+      const tokenAddresses = this._getNetReceivedTokens(wallet)
+        .filter(tokenAddress => !this._isQuoteToken(tokenAddress, wallet.chain));
+      const balances = await Promise.all(tokenAddresses.map(tokenAddress => BlockchainService.getBalance(tokenAddress, wallet.address, wallet.chain)));
+
+      for (const [index, tokenAddress] of tokenAddresses.entries()) {
+        if (balances[index] === 0n) continue;
+        const cacheKey = `${wallet.chain}-${tokenAddress}`;
+        if (!pairCache.has(cacheKey)) {
+          pairCache.set(cacheKey, await BlockchainService.getPair(factoryAddress, tokenAddress, wrappedNative, wallet.chain));
+        }
+        const pairAddress = pairCache.get(cacheKey);
+        if (pairAddress) pairs.add(pairAddress.toLowerCase());
+      }
+    }
+
+    return Array.from(pairs);
+  }
+
+  /**
+   * Takes a fresh snapshot of a watched pool, compares it with the previous one and alerts the
+   * exposed wallets about any drain, deployer LP burn or locked-LP removal. Drains are measured
+   * from the highest quote reserve seen, so slow drains add up. The first check only records the baseline.
+   * @param {PoolWatch} watch - The pool watch document.
+   * @returns {Promise<object[]>} The alerts raised by this check.
+   */
+  static async checkPool(watch) {
+    const { chain } = watch;
+    const pair = new ethers.Contract(watch.pairAddress, UNISWAP_V2_PAIR_ABI, BlockchainService.getProvider(chain));
+
+    if (!watch.token0 || !watch.token1) {
+      const [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
+      watch.token0 = token0;
+      watch.token1 = token1;
+      watch.quoteToken = this._isQuoteToken(token1, chain) || !this._isQuoteToken(token0, chain) ? token1 : token0;
+      const projectToken = watch.quoteToken.toLowerCase() === token0.toLowerCase() ? token1 : token0;
+      const creation = await BlockchainService.getContractCreation(projectToken, chain);
+      watch.deployer = creation ? creation.contractCreator : null;
+    }
+
+    const snapshot = await this._takeSnapshot(pair, watch);
+    const previous = watch.lastSnapshot && watch.lastSnapshot.totalSupply ? watch.lastSnapshot : null;
+    const alerts = previous ? await this._compareSnapshots(watch, previous, snapshot) : [];
+
+    // A reported drain starts a new baseline, so the same drop is not reported again
+    const currentQuote = this._quoteReserveOf(watch, snapshot);
+    const peakQuote = watch.peakQuoteReserve ? BigInt(watch.peakQuoteReserve) : 0n;
+    const drained = alerts.some(alert => alert.type === 'reserve_drain');
+    watch.peakQuoteReserve = (drained || currentQuote > peakQuote ? currentQuote : peakQuote).toString();
+
+    watch.lastSnapshot = {
+      reserve0: snapshot.reserve0.toString(),
+      reserve1: snapshot.reserve1.toString(),
+      totalSupply: snapshot.totalSupply.toString(),
+      deployerLpBalance: snapshot.deployerLpBalance.toString(),
+      lockedLpBalance: snapshot.lockedLpBalance.toString(),
+      blockNumber: snapshot.blockNumber,
+      checkedAt: new Date(),
+    };
+    await watch.save();
+
+    if (alerts.length > 0) {
+      await PoolWatch.updateOne(
+        { _id: watch._id },
+        { $push: { alerts: { $each: alerts.map(alert => ({ ...alert, blockNumber: snapshot.blockNumber, detectedAt: new Date() })), $slice: -MAX_STORED_ALERTS } } }
+      );
+      await this._notifyWallets(watch, alerts);
+    }
+    return alerts;
+  }
+
+  /**
+   * Reads reserves, LP supply and the LP held by the deployer and by lockers at one block.
+   * @private
+   */
+  static async _takeSnapshot(pair, watch) {
+    const blockNumber = await BlockchainService.getBlockNumber(watch.chain);
+    const overrides = { blockTag: blockNumber };
+    const lockedHolders = [...BURN_ADDRESSES, ...(LP_LOCKER_ADDRESSES[watch.chain] || [])];
+
+    const [reserves, totalSupply, deployerLpBalance, lockedBalances] = await Promise.all([
+      pair.getReserves(overrides),
+      pair.totalSupply(overrides),
+      watch.deployer ? pair.balanceOf(watch.deployer, overrides) : 0n,
+      Promise.all(lockedHolders.map(holder => pair.balanceOf(holder, overrides))),
+    ]);
+
+    return {
+      reserve0: reserves[0],
+      reserve1: reserves[1],
+      totalSupply,
+      deployerLpBalance,
+      lockedLpBalance: lockedBalances.reduce((sum, balance) => sum + balance, 0n),
+      blockNumber,
+    };
+  }
+
+  /**
+   * Compares two snapshots of a pool and describes every rug signal between them.
+   * @private
+   */
+  static async _compareSnapshots(watch, previous, current) {
+    const alerts = [];
+    const previousQuote = this._quoteReserveOf(watch, previous);
+    const peakQuote = watch.peakQuoteReserve && BigInt(watch.peakQuoteReserve) > previousQuote ? BigInt(watch.peakQuoteReserve) : previousQuote;
+    const currentQuote = this._quoteReserveOf(watch, current);
+    const previousSupply = BigInt(previous.totalSupply);
+
+    if (peakQuote > 0n && currentQuote < peakQuote && this._percentOf(peakQuote - currentQuote, peakQuote) >= DRAIN_PERCENT) {
+      const drained = peakQuote - currentQuote;
+      const [metadata, priceUsd] = await Promise.all([
+        TokenMetadataService.getMetadata(watch.quoteToken, watch.chain),
+        PriceService.getPriceUsd(watch.quoteToken, watch.chain),
+      ]);
+      const drainedAmount = TokenMetadataService.formatAmount(drained, metadata);
+      alerts.push({
+        type: 'reserve_drain',
+        details: {
+          token: watch.quoteToken,
+          symbol: metadata.symbol,
+          drained: drainedAmount,
+          drainedDisplay: TokenMetadataService.formatDisplayAmount(drained, metadata),
+          drainedUsd: priceUsd !== null ? Math.round(Number(drainedAmount) * priceUsd * 100) / 100 : null,
+          dropPercent: this._percentOf(drained, peakQuote),
+        },
+      });
+    }
+
+    const deployerBurned = BigInt(previous.deployerLpBalance || '0') - current.deployerLpBalance;
+    const supplyBurned = previousSupply - current.totalSupply;
+    if (previousSupply > 0n && deployerBurned > 0n && supplyBurned > 0n) {
+      const burned = deployerBurned < supplyBurned ? deployerBurned : supplyBurned;
+      if (this._percentOf(burned, previousSupply) >= LP_MOVE_PERCENT) {
+        alerts.push({
+          type: 'deployer_lp_burn',
+          details: { deployer: watch.deployer, supplyPercent: this._percentOf(burned, previousSupply) },
+        });
+      }
+    }
+
+    const unlocked = BigInt(previous.lockedLpBalance || '0') - current.lockedLpBalance;
+    if (previousSupply > 0n && unlocked > 0n && this._percentOf(unlocked, previousSupply) >= LP_MOVE_PERCENT) {
+      alerts.push({
+        type: 'locked_lp_removed',
+        details: { supplyPercent: this._percentOf(unlocked, previousSupply) },
+      });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Sends one Telegram message per exposed wallet listing the alerts raised for a pool.
+   * @private
+   */
+  static async _notifyWallets(watch, alerts) {
+    const labels = await LabelService.getLabels([watch.pairAddress, watch.token0, watch.token1], watch.chain);
+    const tokenMetadata = await TokenMetadataService.getMetadataBatch([watch.token0, watch.token1], watch.chain);
+    const symbolOf = (address) => {
+      const metadata = tokenMetadata.get(address.toLowerCase());
+      return (metadata && metadata.symbol) || `${address.substring(0, 6)}...`;
+    };
+    const pairLabel = labels.get(watch.pairAddress.toLowerCase());
+    const poolName = `${symbolOf(watch.token0)}/${symbolOf(watch.token1)}${pairLabel && pairLabel !== 'Unknown' ? ` (${pairLabel})` : ''}`;
+
+    const alertLines = alerts.map(alert => {
+      if (alert.type === 'reserve_drain') {
+        const usd = typeof alert.details.drainedUsd === 'number' ? ` ($${alert.details.drainedUsd.toLocaleString('en-US')})` : '';
+        return `- *Liquidity drained:* ${alert.details.drainedDisplay}${usd} left the pool, a ${alert.details.dropPercent}% drop.`;
+      }
+      if (alert.type === 'deployer_lp_burn') {
+        return `- *Deployer pulled liquidity:* the token deployer burned ${alert.details.supplyPercent}% of the LP supply.`;
+      }
+      return `- *Locked liquidity removed:* ${alert.details.supplyPercent}% of the LP supply left the lockers.`;
+    }).join('\n');
+
+    const wallets = await Wallet.find({ _id: { $in: watch.walletIds } }).select('userId address label');
+    for (const wallet of wallets) {
+      const user = await User.findById(wallet.userId);
+      if (!user || !user.telegramChatId) continue;
+
+      const message = `
+
+🚨 *Possible Rug Pull* 🚨
+
+A pool your wallet (*${wallet.label || wallet.address.substring(0, 6)}...*) is exposed to shows signs of a rug pull:
+
+- *Pool:* ${poolName}
+- *Chain:* ${watch.chain}
+${alertLines}
+
+If you still hold this token or its liquidity, consider exiting.
+      `;
+      NotificationService.sendTelegramMessage(user.telegramChatId, message);
+    }
+  }
+
+  /**
+   * The tokens a wallet received more of than it sent, according to its cached transfers.
+   * @private
+   */
+  static _getNetReceivedTokens(wallet) {
+    const ownerAddress = wallet.address.toLowerCase();
+    const netByToken = new Map();
+    ((wallet.transactionCache && wallet.transactionCache.tokentx) || []).forEach(transfer => {
+      if (!transfer.contractAddress) return;
+      const tokenKey = transfer.contractAddress.toLowerCase();
+      let value;
+      try {
+        value = BigInt(transfer.value || 0);
+      } catch (error) {
+        value = 0n;
+      }
+      let net = netByToken.get(tokenKey) || 0n;
+      if (transfer.to && transfer.to.toLowerCase() === ownerAddress) net += value;
+      if (transfer.from && transfer.from.toLowerCase() === ownerAddress) net -= value;
+      netByToken.set(tokenKey, net);
+    });
+    return Array.from(netByToken.entries()).filter(([, net]) => net > 0n).map(([tokenAddress]) => tokenAddress);
+  }
+
+  /**
+   * The quote-side reserve of a pool snapshot, stored (strings) or fresh (bigints).
+   * @private
+   */
+  static _quoteReserveOf(watch, snapshot) {
+    const isQuoteToken0 = watch.quoteToken.toLowerCase() === watch.token0.toLowerCase();
+    return BigInt(isQuoteToken0 ? snapshot.reserve0 : snapshot.reserve1);
+  }
+
+  /** @private */
+  static _isQuoteToken(tokenAddress, chain) {
+    const address = tokenAddress.toLowerCase();
+    const wrappedNative = WRAPPED_NATIVE_ADDRESSES[chain];
+    return (wrappedNative && wrappedNative.toLowerCase() === address)
+      || (STABLECOIN_ADDRESSES[chain] || []).some(stablecoin => stablecoin.toLowerCase() === address);
+  }
+
+  /**
+   * `part` as a percentage of `whole`, to two decimals.
+   * @private
+   */
+  static _percentOf(part, whole) {
+    return Number((part * 10000n) / whole) / 100;
+  }
+}
+
+module.exports = RugMonitorService;
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const RiskRule = require('../models/RiskRule');
+const BytecodeService = require('./bytecode.service');
+const SourceAnalysisService = require('./sourceAnalysis.service');
+
+const RULES_DIR = process.env.RISK_RULES_DIR || path.join(__dirname, '..', 'rules');
+// How often the rule set is reloaded, so rules edited in the database apply without a restart
+const REFRESH_MS = (parseInt(process.env.RISK_RULES_REFRESH_MINUTES, 10) || 5) * 60 * 1000;
+
+const RULE_TYPES = ['source', 'selector', 'opcode', 'adminSlot', 'honeypot', 'approval'];
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+// Prefixes of the honeypot indicator details
+const SEVERITY_LABELS = { CRITICAL: 'Critical', HIGH: 'High Risk', MEDIUM: 'Medium Risk', LOW: 'Low Risk' };
+
+const PRAGMA_REGEX = /pragma\s+solidity\s*\^?([0-9]+\.[0-9]+)/;
+
+let cachedRuleset = null;
+let loadingRuleset = null;
+
+class RuleEngineService {
+  /**
+   * Returns the active rule set: the rule files in src/rules (JSON or YAML) with the rules of the
+   * `risk_rules` collection merged over them. The set is versioned by a hash of its rules, so
+   * every finding can be traced back to the exact rules that produced it.
+   * @param {object} [options={}] - { force: true } reloads the rules immediately.
+   * @returns {Promise<{version: string, rules: object[], loadedAt: Date}>} The rule set.
+   */
+  static async getRuleset(options = {}) {
+    const isFresh = cachedRuleset && Date.now() - cachedRuleset.loadedAt.getTime() < REFRESH_MS;
+    if (isFresh && !options.force) {
+      return cachedRuleset;
+    }
+    if (!loadingRuleset) {
+      loadingRuleset = this._loadRuleset()
+        .then(ruleset => {
+          if (!cachedRuleset || cachedRuleset.version !== ruleset.version) {
+            console.log(`[RuleEngineService] Loaded rule set ${ruleset.version} with ${ruleset.rules.length} rules.`);
+          }
+          cachedRuleset = ruleset;
+          return ruleset;
+        })
+        .finally(() => {
+          loadingRuleset = null;
+        });
+    }
+    return loadingRuleset;
+  }
+
+  /**
+   * Evaluates the `source` rules against the constructs located in verified source code.
+   * @param {string} sourceCode - The `SourceCode` field returned by Etherscan.
+   * @returns {Promise<{risks: object, findings: object[], unparsedFiles: string[]}>} The rule names per
+   * risk level, every finding with its file and line, and the files that failed to parse.
+   */
+  static async evaluateSource(sourceCode) {
+    const { rules, version } = await this.getRuleset();
+    const { findings: constructs, unparsedFiles } = SourceAnalysisService.analyze(sourceCode);
+
+    const findings = [];
+    rules.filter(rule => rule.type === 'source').forEach(rule => {
+      constructs
+        .filter(construct => construct.construct === rule.match.construct)
+        .forEach(({ file, line, snippet }) => findings.push({ ...this._stamp(rule, version), file, line, snippet }));
+    });
+    return { risks: this._groupRisks(findings), findings, unparsedFiles };
+  }
+
+  /**
+   * Evaluates the `selector`, `opcode` and `adminSlot` rules against disassembled runtime bytecode.
+   * @param {string} bytecode - The runtime bytecode as a hex string.
+   * @returns {Promise<{risks: object, findings: object[]}>} The rule names per risk level and the findings.
+   */
+  static async evaluateBytecode(bytecode) {
+    const { rules, version } = await this.getRuleset();
+    const { selectors, opcodes, adminSlotWrites } = BytecodeService.analyze(bytecode);
+    const exposedSelectors = new Set(selectors);
+    const usedOpcodes = new Set(opcodes);
+
+    const findings = [];
+    rules.forEach(rule => {
+      if (rule.type === 'selector' && exposedSelectors.has(rule.selector)) {
+        findings.push({ ...this._stamp(rule, version), selector: rule.selector });
+      } else if (rule.type === 'opcode' && usedOpcodes.has(rule.match.opcode)) {
+        findings.push({ ...this._stamp(rule, version), opcode: rule.match.opcode });
+      } else if (rule.type === 'adminSlot') {
+        adminSlotWrites
+          .filter(slot => !rule.match.slot || rule.match.slot === slot)
+          .forEach(slot => findings.push({ ...this._stamp(rule, version), slot }));
+      }
+    });
+    return { risks: this._groupRisks(findings), findings };
+  }
+
+  /**
+   * Evaluates the `honeypot` rules, regular expressions run against each source file.
+   * @param {string} sourceCode - The `SourceCode` field returned by Etherscan.
+   * @returns {Promise<{indicators: object, findings: object[]}>} One flag per honeypot rule (named after
+   * the rule) plus their `details`, and the findings with their file and line.
+   */
+  static async evaluateHoneypot(sourceCode) {
+    const { rules, version } = await this.getRuleset();
+    const honeypotRules = rules.filter(rule => rule.type === 'honeypot');
+    const indicators = Object.fromEntries(honeypotRules.map(rule => [rule.name, false]));
+    indicators.details = [];
+
+    const findings = [];
+    const files = SourceAnalysisService.unpackSources(sourceCode);
+    honeypotRules.forEach(rule => {
+      for (const { path: file, content } of files) {
+        const line = this._matchHoneypotRule(rule, content);
+        if (line === null) continue;
+        findings.push({ ...this._stamp(rule, version), file, line, snippet: content.split('\n')[line - 1].trim().substring(0, 160) });
+        if (!indicators[rule.name]) {
+          indicators[rule.name] = true;
+          indicators.details.push(`${SEVERITY_LABELS[rule.severity]}: ${rule.description}`);
+        }
+      }
+    });
+    return { indicators, findings };
+  }
+
+  /**
+   * Evaluates the `approval` rules against an active approval. A rule matches when every field
+   * in its `match` equals the approval's (missing flags count as false).
+   * @param {object} approval - The approval, as reported by the approval worker.
+   * @returns {Promise<{riskLevel: string|null, findings: object[]}>} The worst matched severity as a
+   * lowercase risk level ('high', 'medium' or 'low'), or null if no rule matched, and the findings.
+   */
+  static async evaluateApproval(approval) {
+    const { rules, version } = await this.getRuleset();
+    const findings = rules
+      .filter(rule => rule.type === 'approval')
+      .filter(rule => Object.entries(rule.match).every(([field, expected]) => {
+        const actual = typeof expected === 'boolean' ? !!approval[field] : approval[field];
+        return actual === expected;
+      }))
+      .map(rule => this._stamp(rule, version));
+
+    if (findings.length === 0) {
+      return { riskLevel: null, findings };
+    }
+    const worst = findings.reduce((a, b) => (SEVERITIES.indexOf(b.severity) < SEVERITIES.indexOf(a.severity) ? b : a));
+    return { riskLevel: worst.severity === 'CRITICAL' ? 'high' : worst.severity.toLowerCase(), findings };
+  }
+
+  /**
+   * Reads the rule files and the database rules, validates and compiles them, and versions the result.
+   * @private
+   */
+  static async _loadRuleset() {
+    const rulesById = new Map();
+    for (const rule of this._readRuleFiles()) {
+      rulesById.set(rule.id, rule);
+    }
+
+    // The collection is optional; without a database connection the file rules still apply.
+    if (mongoose.connection.readyState === 1) {
+      try {
+        const storedRules = await RiskRule.find({}).lean();
+        storedRules.forEach(({ ruleId, enabled, ...rule }) => {
+          if (enabled === false) {
+            rulesById.delete(ruleId);
+          } else {
+            rulesById.set(ruleId, { ...rule, id: ruleId, origin: 'database' });
+          }
+        });
+      } catch (error) {
+        console.error('[RuleEngineService] Could not read rules from the database:', error.message);
+      }
+    }
+
+    const rules = [];
+    for (const rule of rulesById.values()) {
+      try {
+        rules.push(this._compileRule(rule));
+      } catch (error) {
+        console.warn(`[RuleEngineService] Skipping invalid rule ${rule.id} (${rule.origin}). Error: ${error.message}`);
+      }
+    }
+    rules.sort((a, b) => a.id.localeCompare(b.id));
+
+    const fingerprint = rules.map(({ id, version, type, name, severity, weight, description, remediation, match }) => (
+      { id, version, type, name, severity, weight, description, remediation, match }
+    ));
+    const version = crypto.createHash('sha256').update(JSON.stringify(fingerprint)).digest('hex').substring(0, 12);
+
+    return { version, rules, loadedAt: new Date() };
+  }
+
+  /**
+   * Reads every .json, .yaml and .yml file in the rules directory. Each holds either a list of
+   * rules or an object with a `rules` list.
+   * @private
+   */
+  static _readRuleFiles() {
+    let fileNames;
+    try {
+      fileNames = fs.readdirSync(RULES_DIR).filter(name => /\.(json|ya?ml)$/i.test(name)).sort();
+    } catch (error) {
+      console.error(`[RuleEngineService] Could not read rules directory ${RULES_DIR}:`, error.message);
+      return [];
+    }
+
+    const rules = [];
+    for (const fileName of fileNames) {
+      try {
+        const content = fs.readFileSync(path.join(RULES_DIR, fileName), 'utf8');
+        const parsed = fileName.toLowerCase().endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+        const fileRules = Array.isArray(parsed) ? parsed : (parsed && parsed.rules) || [];
+        fileRules.forEach(rule => rules.push({ ...rule, origin: fileName }));
+      } catch (error) {
+        console.error(`[RuleEngineService] Could not load rule file ${fileName}:`, error.message);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Validates a rule and precomputes what evaluating it needs (selectors, regular expressions).
+   * @private
+   */
+  static _compileRule(rule) {
+    if (!rule.id || typeof rule.id !== 'string') throw new Error('Missing id.');
+    if (!Number.isInteger(rule.version)) throw new Error('Missing integer version.');
+    if (!RULE_TYPES.includes(rule.type)) throw new Error(`Unknown type "${rule.type}".`);
+    if (!rule.name || !rule.description) throw new Error('Missing name or description.');
+    if (!SEVERITIES.includes(rule.severity)) throw new Error(`Unknown severity "${rule.severity}".`);
+    if (typeof rule.weight !== 'number') throw new Error('Missing numeric weight.');
+
+    const match = rule.match || {};
+    const compiled = { ...rule, match, remediation: rule.remediation || null };
+
+    switch (rule.type) {
+      case 'source':
+        if (!match.construct) throw new Error('Source rules need match.construct.');
+        break;
+      case 'selector':
+        if (!match.signature && !match.selector) throw new Error('Selector rules need match.signature or match.selector.');
+        compiled.selector = (match.selector || ethers.id(match.signature).slice(0, 10)).toLowerCase();
+        break;
+      case 'opcode':
+        if (!match.opcode) throw new Error('Opcode rules need match.opcode.');
+        break;
+      case 'honeypot':
+        if (!match.pattern) throw new Error('Honeypot rules need match.pattern.');
+        // Throws on an invalid expression, which skips the rule
+        compiled.pattern = new RegExp(match.pattern, match.flags || '');
+        compiled.followedBy = match.followedBy ? new RegExp(match.followedBy, match.flags || '') : null;
+        break;
+      default:
+        break;
+    }
+    return compiled;
+  }
+
+  /**
+   * Runs a honeypot rule against one file.
+   * @returns {number|null} The line of the match, or null if the rule does not match.
+   * @private
+   */
+  static _matchHoneypotRule(rule, content) {
+    if (rule.match.minPragma) {
+      const pragma = content.match(PRAGMA_REGEX);
+      if (!pragma || parseFloat(pragma[1]) < parseFloat(rule.match.minPragma)) return null;
+    }
+
+    const match = content.match(rule.pattern);
+    if (!match) return null;
+    if (rule.followedBy) {
+      const nearby = content.substring(match.index, match.index + (rule.match.within || 500));
+      if (!rule.followedBy.test(nearby)) return null;
+    }
+    return content.slice(0, match.index).split('\n').length;
+  }
+
+  /**
+   * The fields every finding carries, naming the rule and rule set that produced it.
+   * @private
+   */
+  static _stamp(rule, rulesetVersion) {
+    return {
+      ruleId: rule.id,
+      ruleVersion: rule.version,
+      rulesetVersion,
+      name: rule.name,
+      severity: rule.severity,
+      weight: rule.weight,
+      description: rule.description,
+      remediation: rule.remediation,
+    };
+  }
+
+  /**
+   * Lists the distinct rule names per risk level, with CRITICAL findings counted as HIGH.
+   * @private
+   */
+  static _groupRisks(findings) {
+    const risks = { HIGH: [], MEDIUM: [], LOW: [] };
+    findings.forEach(finding => {
+      const level = finding.severity === 'CRITICAL' ? 'HIGH' : finding.severity;
+      if (!risks[level].includes(finding.name)) {
+        risks[level].push(finding.name);
+      }
+    });
+    return risks;
+  }
+}
+
+module.exports = RuleEngineService;
@@ -1,16 +1,24 @@
 const BlockchainService = require('./blockchain.service');
 const { ethers } = require('ethers');
 const GuestScanCache = require('../models/GuestScanCache');
+const Wallet = require('../models/Wallet');
 const LabelService = require('./label.service');
+const ApprovalIndexerService = require('./approvalIndexer.service');
+const ExposureService = require('./exposure.service');
+const ProxyResolverService = require('./proxyResolver.service');
+const RuleEngineService = require('./ruleEngine.service');
+const RiskScoringService = require('./riskScoring.service');
 
 // Re-using risk definitions from workers to keep consistency
-const { RISK_KEYWORDS, RISKY_SIGNATURES, analyzeHoneypotIndicators } = require('../workers/contract.worker');
-const { MAX_UINT256, APPROVAL_ABIS } = require('../workers/approval.worker');
+const { MAX_UINT256, APPROVAL_ABIS, EIP2612_PERMIT_SIGNATURE, DAI_PERMIT_SIGNATURE, resolvePermitStatus, extractApprovalCalls } = require('../workers/approval.worker');
 const { LP_STAKE_ABIS } = require('../workers/lpStake.worker');
 
 const approvalInterface = new ethers.Interface(APPROVAL_ABIS);
 const lpStakeInterface = new ethers.Interface(LP_STAKE_ABIS);
 
+// Blocks back from the latest that a guest scan reads approval logs over when GUEST_SCAN_MAX_LOG_BLOCKS is not set
+const DEFAULT_GUEST_SCAN_LOG_BLOCKS = 500000;
+
 class ScanService {
   /**
    * Performs a comprehensive, in-memory scan for a given wallet address across all supported chains.
@@ -56,7 +64,7 @@ class ScanService {
           this.analyzeLpPositions(walletAddress, transactions, chain),
         ]);
 
-        return { chain, data: { approvals, contracts, lpPositions } };
+        return { chain, data: { approvals, contracts, lpPositions, activity: this.getActivityMetrics(transactions) } };
       } catch (error) {
         console.error(`[ScanService] Error scanning ${chain} for ${walletAddress}:`, error.message);
         return { chain, error: `Failed to scan this chain: ${error.message}` };
@@ -128,63 +136,215 @@ class ScanService {
 
   static async analyzeApprovals(walletAddress, transactions, chain) {
     const results = [];
+    const eventApprovals = await this.fetchEventApprovals(walletAddress, transactions, chain);
+    const checkedErc20Pairs = new Set();
     for (const tx of transactions) {
-      if (!tx || !tx.from || typeof tx.from !== 'string' || tx.from.toLowerCase() !== walletAddress.toLowerCase()) continue;
-      const parsedTx = BlockchainService.parseTransactionInput(tx.input, approvalInterface);
-      if (!parsedTx) continue;
+      for (const call of extractApprovalCalls(tx, walletAddress, chain)) {
+        const { name, signature, args, target } = call;
+
+        if (signature === 'approve(address,uint256)' || signature === 'increaseAllowance(address,uint256)' || signature === 'decreaseAllowance(address,uint256)') {
+          // The live allowance is the same for every call on a pair, so it is read once
+          const pairKey = `${target}-${args[0]}`.toLowerCase();
+          if (checkedErc20Pairs.has(pairKey)) continue;
+          checkedErc20Pairs.add(pairKey);
+          // Only report approvals that are still live, not ones since spent, revoked or that never executed
+          const allowance = await BlockchainService.getAllowance(target, walletAddress, args[0], chain);
+          if (allowance === 0n) continue;
+          results.push(this.describeErc20Approval(target, args[0], allowance, tx.hash));
+        } else if (signature === 'setApprovalForAll(address,bool)' && args[1] === true) {
+          if (!(await BlockchainService.isApprovedForAll(target, walletAddress, args[0], chain))) continue;
+          results.push({
+            type: 'High Risk Approval',
+            description: `Collection-wide NFT approval granted to ${args[0]}`,
+            contractAddress: target,
+            operator: args[0],
+            txHash: tx.hash,
+            risk: 80,
+            revoke: {
+              target,
+              calldata: approvalInterface.encodeFunctionData('setApprovalForAll', [args[0], false]),
+            }
+          });
+        } else if ((signature === EIP2612_PERMIT_SIGNATURE || (signature === DAI_PERMIT_SIGNATURE && args[4] === true)) && tx.isError !== '1') {
+          // EIP-2612: (owner, spender, value, deadline). DAI: (holder, spender, nonce, expiry, allowed).
+          const { status, allowance } = await resolvePermitStatus({ tokenAddress: target, spender: args[1] }, walletAddress, chain);
+
+          // Spent or revoked permit allowances are resolved and are not reported.
+          if (status === 'active') {
+            const isUnlimited = allowance.toString() === MAX_UINT256;
+            results.push({
+              type: isUnlimited ? 'High Risk Approval' : 'Medium Risk Approval',
+              description: `Active allowance from 'Permit' signature granted to ${args[1]}`,
+              tokenAddress: target,
+              spender: args[1],
+              txHash: tx.hash,
+              permitStatus: status,
+              allowanceRaw: allowance.toString(),
+              risk: isUnlimited ? 90 : 65,
+              revoke: {
+                target,
+                calldata: approvalInterface.encodeFunctionData('approve(address,uint256)', [args[1], 0]),
+              }
+            });
+          }
+        } else if (name.toLowerCase().includes('permittransferfrom')) {
+          results.push({
+            type: 'Informational',
+            description: `Interaction with Permit2-enabled contract ${target}`,
+            contractAddress: target,
+            txHash: tx.hash,
+            risk: 40
+          });
+        }
+      }
+    }
 
-      const { name, args } = parsedTx;
+    // Reconcile with the approval event logs: drop approvals that have since been revoked and
+    // add the ones granted indirectly (routers, batches, third-party permits).
+    const reportedPairs = new Set();
+    const reconciled = results.filter(result => {
+      const counterparty = result.spender || result.operator;
+      const contract = result.tokenAddress || result.contractAddress;
+      if (!counterparty || !contract) return true;
+      const key = `${contract}-${counterparty}`.toLowerCase();
+      const eventState = eventApprovals.get(key);
+      if (eventState && !eventState.isActive) return false;
+      if (reportedPairs.has(key)) return false;
+      reportedPairs.add(key);
+      return true;
+    });
 
-      if (name === 'approve' && args[1].toString() === MAX_UINT256) {
-        results.push({
-          type: 'High Risk Approval',
-          description: `Unlimited ERC20 approval granted to ${args[0]}`,
-          tokenAddress: tx.to,
-          spender: args[0],
-          txHash: tx.hash,
-          risk: 90,
-          revoke: {
-            target: tx.to,
-            calldata: approvalInterface.encodeFunctionData('approve', [args[0], 0]),
-          }
-        });
-      } else if (name === 'setApprovalForAll' && args[1] === true) {
-        results.push({
+    for (const [key, approval] of eventApprovals) {
+      if (!approval.isActive || reportedPairs.has(key)) continue;
+
+      if (approval.type === 'ERC20') {
+        // Limited allowances shrink as they are spent without a new Approval log
+        const allowance = await BlockchainService.getAllowance(approval.contractAddress, walletAddress, approval.spender, chain);
+        if (allowance === 0n) continue;
+        reconciled.push(this.describeErc20Approval(approval.contractAddress, approval.spender, allowance, approval.txHash));
+      } else if (approval.type === 'NFT') {
+        reconciled.push({
           type: 'High Risk Approval',
-          description: `Collection-wide NFT approval granted to ${args[0]}`,
-          contractAddress: tx.to,
-          operator: args[0],
-          txHash: tx.hash,
+          description: `Collection-wide NFT approval granted to ${approval.operator}`,
+          contractAddress: approval.contractAddress,
+          operator: approval.operator,
+          txHash: approval.txHash,
           risk: 80,
           revoke: {
-            target: tx.to,
-            calldata: approvalInterface.encodeFunctionData('setApprovalForAll', [args[0], false]),
+            target: approval.contractAddress,
+            calldata: approvalInterface.encodeFunctionData('setApprovalForAll', [approval.operator, false]),
           }
         });
-      } else if (name === 'permit') {
-        const deadline = args[3]; // Deadline is the fourth argument in EIP-2612
-        const oneYearFromNow = Math.floor(Date.now() / 1000) + 31536000;
-        if (deadline && BigInt(deadline.toString()) > BigInt(oneYearFromNow)) {
-          results.push({
-            type: 'Medium Risk Approval',
-            description: `Long-lived 'Permit' signature granted to ${args[1]}`,
-            tokenAddress: tx.to,
-            spender: args[1],
-            txHash: tx.hash,
-            risk: 65
-          });
-        }
-      } else if (name.toLowerCase().includes('permittransferfrom')) {
-        results.push({
-          type: 'Informational',
-          description: `Interaction with Permit2-enabled contract ${tx.to}`,
-          contractAddress: tx.to,
-          txHash: tx.hash,
-          risk: 40
-        });
       }
     }
-    return results;
+
+    // Rate each approval with the same rules the approval worker uses
+    for (const result of reconciled) {
+      const { findings } = await RuleEngineService.evaluateApproval(this.getApprovalFacts(result));
+      result.findings = findings;
+    }
+
+    // Value what each approval puts at risk and rank the findings by it
+    await ExposureService.enrichApprovals(reconciled, walletAddress, chain);
+    return reconciled;
+  }
+
+  /**
+   * Builds the guest scan finding of a live ERC20 allowance.
+   * @param {string} tokenAddress - The token contract address.
+   * @param {string} spender - The spender address.
+   * @param {bigint} allowance - The live allowance.
+   * @param {string} txHash - The transaction or log that granted it.
+   * @returns {object} The finding.
+   */
+  static describeErc20Approval(tokenAddress, spender, allowance, txHash) {
+    const isUnlimited = allowance.toString() === MAX_UINT256;
+    return {
+      type: isUnlimited ? 'High Risk Approval' : 'Medium Risk Approval',
+      description: `${isUnlimited ? 'Unlimited' : 'Limited'} ERC20 approval granted to ${spender}`,
+      tokenAddress,
+      spender,
+      txHash,
+      allowanceRaw: allowance.toString(),
+      risk: isUnlimited ? 90 : 60,
+      revoke: {
+        target: tokenAddress,
+        calldata: approvalInterface.encodeFunctionData('approve(address,uint256)', [spender, 0]),
+      }
+    };
+  }
+
+  /**
+   * Describes a guest scan approval with the fields the approval rules match on, as the
+   * approval worker reports them.
+   * @param {object} result - An approval found by analyzeApprovals.
+   * @returns {object} The approval facts ({ type, isUnlimited }).
+   */
+  static getApprovalFacts(result) {
+    if (result.operator) {
+      return { type: 'NFT' };
+    }
+    if (result.permitStatus) {
+      return { type: 'Permit', isUnlimited: result.allowanceRaw === MAX_UINT256 };
+    }
+    if (result.spender) {
+      return { type: 'ERC20', isUnlimited: result.allowanceRaw === MAX_UINT256 };
+    }
+    return { type: null };
+  }
+
+  /**
+   * Measures how much history a wallet has from its transactions.
+   * @param {object[]} transactions - The wallet's transactions, in any order.
+   * @returns {{transactionCount: number, walletAgeDays: number}} The metrics. The age runs from the
+   * oldest transaction given, so it is a lower bound when the list was truncated.
+   */
+  static getActivityMetrics(transactions) {
+    const timestamps = transactions.map(tx => parseInt(tx.timeStamp, 10)).filter(t => !Number.isNaN(t));
+    const firstTimestamp = timestamps.length > 0 ? Math.min(...timestamps) : null;
+    return {
+      transactionCount: transactions.length,
+      walletAgeDays: firstTimestamp ? Math.round((Date.now() / 1000 - firstTimestamp) / (60 * 60 * 24)) : 0,
+    };
+  }
+
+  /**
+   * Fetches the approval event logs for the block window covered by the guest scan's transactions.
+   * The scan runs within the request, so at most GUEST_SCAN_MAX_LOG_BLOCKS recent blocks are read;
+   * older approvals made outside the wallet's own transactions are only seen for monitored wallets,
+   * whose logs the approval indexer already cached and which only need the blocks since.
+   * Failures are non-fatal, as not every public RPC node serves eth_getLogs reliably.
+   * @param {string} walletAddress - The wallet address.
+   * @param {object[]} transactions - The transactions fetched for the scan (newest first).
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<Map<string, object>>} The latest approval state per token-spender pair.
+   */
+  static async fetchEventApprovals(walletAddress, transactions, chain) {
+    try {
+      const wallet = await Wallet.findOne({ address: walletAddress.toLowerCase(), chain })
+        .select('transactionCache.approvalLogs transactionCache.lastBlock.approvalLogs');
+      const cache = wallet && wallet.transactionCache.lastBlock.approvalLogs ? wallet.transactionCache : null;
+
+      let fromBlock;
+      if (cache) {
+        fromBlock = cache.lastBlock.approvalLogs + 1;
+      } else {
+        const blockNumbers = transactions.map(tx => parseInt(tx.blockNumber, 10)).filter(n => !isNaN(n));
+        if (blockNumbers.length === 0) return new Map();
+        fromBlock = Math.min(...blockNumbers);
+      }
+
+      const latestBlock = await BlockchainService.getBlockNumber(chain);
+      const maxBlocks = parseInt(process.env.GUEST_SCAN_MAX_LOG_BLOCKS, 10) || DEFAULT_GUEST_SCAN_LOG_BLOCKS;
+      fromBlock = Math.max(fromBlock, latestBlock - maxBlocks + 1, 0);
+      const logs = fromBlock <= latestBlock
+        ? await ApprovalIndexerService.fetchApprovalLogs(walletAddress, chain, { fromBlock, toBlock: latestBlock })
+        : [];
+      return ApprovalIndexerService.reduceApprovalLogs((cache ? cache.approvalLogs : []).concat(logs));
+    } catch (error) {
+      console.warn(`[ScanService] Could not fetch approval logs on ${chain} for ${walletAddress}:`, error.message);
+      return new Map();
+    }
   }
 
   static async analyzeContracts(walletAddress, transactions, chain) {
@@ -192,40 +352,43 @@ class ScanService {
     const interactedContracts = [...new Set(transactions.map(tx => tx.to).filter(Boolean))];
     for (const proxyAddress of interactedContracts) {
       // Determine the address to analyze: implementation for proxies, or the original address
-      const implementationAddress = await BlockchainService.getImplementationAddress(proxyAddress, chain);
+      const implementationAddress = await ProxyResolverService.getImplementationAddress(proxyAddress, chain);
       const addressToAnalyze = implementationAddress || proxyAddress;
 
       const sourceCodeData = await BlockchainService.getSourceCode(addressToAnalyze, chain);
       if (sourceCodeData && sourceCodeData.SourceCode) {
         const originalSourceCode = sourceCodeData.SourceCode;
-        const lowerCaseSourceCode = originalSourceCode.toLowerCase();
 
         // Honeypot analysis
-        const honeypotIndicators = analyzeHoneypotIndicators(originalSourceCode);
+        const { indicators: honeypotIndicators, findings: honeypotFindings } = await RuleEngineService.evaluateHoneypot(originalSourceCode);
         if (honeypotIndicators.hiddenApprove) {
-          results.push({ address: proxyAddress, type: 'Critical Honeypot Alert', description: 'This contract contains a hidden approve function and is likely malicious.', txHash: transactions.find(t => t.to === proxyAddress)?.hash, risk: 100 });
+          results.push({ address: proxyAddress, type: 'Critical Honeypot Alert', description: 'This contract contains a hidden approve function and is likely malicious.', txHash: transactions.find(t => t.to === proxyAddress)?.hash, risk: 100, verified: true, findings: honeypotFindings });
           continue;
         }
         if (honeypotIndicators.details.length > 0) {
-          results.push({ address: proxyAddress, type: 'Suspicious Contract', description: `Honeypot indicators found: ${honeypotIndicators.details.join(' ')}`, txHash: transactions.find(t => t.to === proxyAddress)?.hash, risk: 75 });
+          results.push({ address: proxyAddress, type: 'Suspicious Contract', description: `Honeypot indicators found: ${honeypotIndicators.details.join(' ')}`, txHash: transactions.find(t => t.to === proxyAddress)?.hash, risk: 75, verified: true, findings: honeypotFindings });
         }
 
-        // Standard keyword analysis
-        const foundKeywords = RISK_KEYWORDS.HIGH.filter(k => lowerCaseSourceCode.includes(k));
-        if (foundKeywords.length > 0) {
-          results.push({ address: proxyAddress, type: 'High Risk Contract Interaction', description: `Verified contract with keywords: ${foundKeywords.join(', ')}`, txHash: transactions.find(t => t.to === proxyAddress)?.hash, risk: 85 });
+        // Risky constructs located by parsing the sources. Every finding is reported, as the worker
+        // does, so that both score the contract the same way.
+        const { risks, findings } = await RuleEngineService.evaluateSource(originalSourceCode);
+        if (findings.length > 0) {
+          const isHigh = risks.HIGH.length > 0;
+          const constructs = [...new Set(findings.map(f => `${f.name} (${f.file}:${f.line})`))];
+          results.push({ address: proxyAddress, type: isHigh ? 'High Risk Contract Interaction' : 'Medium Risk Contract Interaction', description: `Verified contract with: ${constructs.join(', ')}`, txHash: transactions.find(t => t.to === proxyAddress)?.hash, risk: isHigh ? 85 : 50, verified: true, findings });
         }
       } else {
         const bytecode = await BlockchainService.getCode(addressToAnalyze, chain);
-        if (!bytecode) continue;
-        const foundSignatures = [];
-        for (const sig in RISKY_SIGNATURES.HIGH) {
-          if (bytecode.includes(RISKY_SIGNATURES.HIGH[sig].substring(2))) {
-            foundSignatures.push(sig);
-          }
-        }
-        if (foundSignatures.length > 0) {
-          results.push({ address: proxyAddress, type: 'High Risk Contract Interaction', description: `Unverified contract with functions: ${foundSignatures.join(', ')}`, txHash: transactions.find(t => t.to === proxyAddress)?.hash, risk: 95 });
+        // Wallets and self-destructed contracts have no code to analyze
+        if (!bytecode || bytecode === '0x') continue;
+        const { risks, findings } = await RuleEngineService.evaluateBytecode(bytecode);
+        const txHash = transactions.find(t => t.to === proxyAddress)?.hash;
+        if (findings.length > 0) {
+          const isHigh = risks.HIGH.length > 0;
+          const signatures = [...new Set(findings.map(f => f.name))];
+          results.push({ address: proxyAddress, type: isHigh ? 'High Risk Contract Interaction' : 'Medium Risk Contract Interaction', description: `Unverified contract with: ${signatures.join(', ')}`, txHash, risk: isHigh ? 95 : 60, verified: false, findings });
+        } else {
+          results.push({ address: proxyAddress, type: 'Unverified Contract Interaction', description: 'Unverified contract without known risky functions', txHash, risk: 30, verified: false, findings: [] });
         }
       }
     }
@@ -239,6 +402,8 @@ class ScanService {
       if (!tx || !tx.from || typeof tx.from !== 'string' || tx.from.toLowerCase() !== walletAddress.toLowerCase() || !tx.to) continue;
       const parsedTx = BlockchainService.parseTransactionInput(tx.input, lpStakeInterface);
       if (!parsedTx || checkedContracts.has(tx.to)) continue;
+      // Withdrawals and generic multicalls do not open a position.
+      if (['multicall', 'decreaseLiquidity', 'collect'].includes(parsedTx.name)) continue;
 
       checkedContracts.add(tx.to);
       results.push({ address: tx.to, type: 'Forgotten Liquidity Pool', description: `Potential LP/Staking position in ${tx.to}`, txHash: tx.hash, risk: 35 });
@@ -250,7 +415,9 @@ class ScanService {
     const formatted = {
       overview: {
         totalValue: 'N/A', // Not implemented
+        totalValueAtRisk: 0, // USD value reachable through the active approvals
         riskScore: 0,
+        riskBreakdown: [], // The points behind the score, per factor (see RiskScoringService.score)
         activeApprovals: 0,
         stakedAssets: 0, // Using LP positions for this
         lpPositions: 0,
@@ -260,9 +427,6 @@ class ScanService {
       alertsByChain: {},
     };
 
-    let totalRisk = 0;
-    let totalAlerts = 0;
-
     for (const chain in rawResults) {
       const result = rawResults[chain];
       if (result.error || !result.data) {
@@ -289,10 +453,14 @@ class ScanService {
         // Re-write descriptions with labels
         if (a.description.startsWith('Unlimited ERC20')) {
           a.description = `Unlimited ERC20 approval granted to ${getDisplayName(a.spender)}`;
+        } else if (a.description.startsWith('Limited ERC20')) {
+          a.description = `Limited ERC20 approval granted to ${getDisplayName(a.spender)}`;
         } else if (a.description.startsWith('Collection-wide')) {
           a.description = `Collection-wide NFT approval granted to ${getDisplayName(a.operator)}`;
         } else if (a.description.startsWith('Long-lived')) {
           a.description = `Long-lived 'Permit' signature granted to ${getDisplayName(a.spender)}`;
+        } else if (a.description.startsWith('Active allowance from')) {
+          a.description = `Active allowance from 'Permit' signature granted to ${getDisplayName(a.spender)}`;
         } else if (a.description.startsWith('Interaction with Permit2')) {
           a.description = `Interaction with Permit2-enabled contract ${getDisplayName(a.contractAddress)}`;
         }
@@ -300,10 +468,12 @@ class ScanService {
       contracts.forEach(c => {
         c.contractLabel = labels.get(c.address.toLowerCase()) || 'Unknown';
         const displayName = getDisplayName(c.address);
-        if (c.description.startsWith('Unverified contract')) {
+        if (c.description.startsWith('Unverified contract without')) {
+          c.description = `Unverified contract (${displayName}) without known risky functions`;
+        } else if (c.description.startsWith('Unverified contract')) {
           c.description = `Unverified contract (${displayName}) with functions: ${c.description.split(': ')[1]}`;
         } else if (c.description.startsWith('Verified contract')) {
-          c.description = `Verified contract (${displayName}) with keywords: ${c.description.split(': ')[1]}`;
+          c.description = `Verified contract (${displayName}) with risky constructs: ${c.description.split(': ')[1]}`;
         } else if (c.description.startsWith('Honeypot indicators')) {
           c.description = `Honeypot indicators found in ${displayName}: ${c.description.split(': ')[1]}`;
         }
@@ -315,20 +485,20 @@ class ScanService {
 
       const allAlerts = [...approvals, ...contracts, ...lpPositions];
 
-      formatted.alertsByChain[chain] = { alerts: allAlerts };
+      const valueAtRisk = ExposureService.getTotalValueAtRisk(approvals);
+      formatted.alertsByChain[chain] = { alerts: allAlerts, valueAtRisk };
+      formatted.overview.totalValueAtRisk += valueAtRisk;
 
       formatted.overview.activeApprovals += approvals.length;
       formatted.overview.lpPositions += lpPositions.length;
-
-      allAlerts.forEach(alert => {
-        totalRisk += alert.risk;
-        totalAlerts++;
-      });
     }
 
-    // Calculate final risk score (average risk of all alerts, capped at 100)
-    formatted.overview.riskScore = totalAlerts > 0 ? Math.min(Math.round(totalRisk / totalAlerts), 100) : 0;
+    // Scored by the same module as worker reports, once labels are in place
+    const { score, factors } = RiskScoringService.scoreGuestScan(rawResults);
+    formatted.overview.riskScore = score;
+    formatted.overview.riskBreakdown = factors;
     formatted.overview.stakedAssets = formatted.overview.lpPositions; // As per decision
+    formatted.overview.totalValueAtRisk = Math.round(formatted.overview.totalValueAtRisk * 100) / 100;
 
     return formatted;
   }
@@ -0,0 +1,174 @@
+const ScanRun = require('../models/ScanRun');
+const Report = require('../models/Report');
+const RiskScoringService = require('./riskScoring.service');
+
+// The report section each analysis task writes
+const SECTIONS = {
+  analyze_approvals: 'approvalAnalysis',
+  analyze_contracts: 'contractAnalysis',
+  analyze_activity: 'activityMetrics',
+  analyze_lp_stake: 'lpStakeAnalysis',
+  watch_upgrades: 'upgradeWatch',
+};
+
+const RETENTION_DAYS = parseInt(process.env.REPORT_RETENTION_DAYS, 10) || 365;
+// Snapshots kept regardless of age, so a rarely scanned wallet keeps its history
+const RETENTION_MIN_SNAPSHOTS = parseInt(process.env.REPORT_RETENTION_MIN_SNAPSHOTS, 10) || 10;
+
+class ScanRunService {
+  /**
+   * The analysis tasks that make up a full scan.
+   * @returns {string[]} Job task types.
+   */
+  static getAnalysisTasks() {
+    return Object.keys(SECTIONS);
+  }
+
+  /**
+   * Starts a scan run for a wallet. Runs still in progress for the wallet are abandoned, so a
+   * late section from an older scan cannot end up in a newer snapshot.
+   * @param {string} walletId - The ID of the wallet.
+   * @param {string[]} [tasks] - The tasks to wait for; all analysis tasks by default.
+   * @returns {Promise<ScanRun>}
+   */
+  static async start(walletId, tasks = this.getAnalysisTasks()) {
+    await ScanRun.updateMany({ walletId, status: 'running' }, { $set: { status: 'failed', completedAt: new Date() } });
+    const run = await ScanRun.create({ walletId, tasks });
+    console.log(`[ScanRunService] Started scan run ${run._id} for wallet ${walletId} (${tasks.join(', ')})`);
+    return run;
+  }
+
+  /**
+   * Stages the report section produced by an analysis job on its scan run, and writes the
+   * snapshot if it was the last task. A job created outside a full scan (e.g. re-analyzing
+   * approvals after a revoke) gets a run of its own, so it still results in a new snapshot.
+   * @param {Job} job - The analysis job.
+   * @param {object} data - The section's content.
+   * @returns {Promise<void>}
+   */
+  static async recordSection(job, data) {
+    const section = SECTIONS[job.taskType];
+    // Not started with start(): a standalone task must not abandon a full scan in progress
+    const scanRunId = (job.payload && job.payload.scanRunId)
+      || (await ScanRun.create({ walletId: job.walletId, tasks: [job.taskType] }))._id;
+
+    const run = await ScanRun.findOneAndUpdate(
+      { _id: scanRunId, status: 'running' },
+      { $set: { [`details.${section}`]: data }, $addToSet: { completedTasks: job.taskType } },
+      { new: true }
+    );
+    if (!run) {
+      console.warn(`[ScanRunService] Scan run ${scanRunId} is no longer running; dropping its ${section} section.`);
+      return;
+    }
+    await this._finalizeIfDone(run);
+  }
+
+  /**
+   * Records a failed job of a scan run. A failed analysis task leaves its section to be carried
+   * over from the previous snapshot; any other failure (e.g. fetching transactions) fails the run.
+   * @param {Job} job - The failed job.
+   * @returns {Promise<void>}
+   */
+  static async recordFailure(job) {
+    const scanRunId = job.payload && job.payload.scanRunId;
+    if (!scanRunId) return;
+
+    if (!SECTIONS[job.taskType]) {
+      await ScanRun.updateOne({ _id: scanRunId, status: 'running' }, { $set: { status: 'failed', completedAt: new Date() } });
+      console.warn(`[ScanRunService] Scan run ${scanRunId} failed at ${job.taskType}.`);
+      return;
+    }
+
+    const run = await ScanRun.findOneAndUpdate(
+      { _id: scanRunId, status: 'running' },
+      { $addToSet: { failedTasks: job.taskType } },
+      { new: true }
+    );
+    if (run) await this._finalizeIfDone(run);
+  }
+
+  /**
+   * Deletes the snapshots (and their scan runs) of a wallet older than REPORT_RETENTION_DAYS,
+   * always keeping the latest REPORT_RETENTION_MIN_SNAPSHOTS.
+   * @param {string} walletId - The ID of the wallet.
+   * @returns {Promise<number>} The number of snapshots deleted.
+   */
+  static async applyRetention(walletId) {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const expired = await Report.find({ walletId })
+      .sort({ createdAt: -1 })
+      .skip(RETENTION_MIN_SNAPSHOTS)
+      .select('_id createdAt')
+      .lean();
+    const expiredIds = expired.filter(report => report.createdAt < cutoff).map(report => report._id);
+    if (expiredIds.length === 0) return 0;
+
+    await Report.deleteMany({ _id: { $in: expiredIds } });
+    await ScanRun.deleteMany({ walletId, $or: [{ reportId: { $in: expiredIds } }, { reportId: { $exists: false }, startedAt: { $lt: cutoff } }] });
+    console.log(`[ScanRunService] Pruned ${expiredIds.length} expired reports for wallet ${walletId}`);
+    return expiredIds.length;
+  }
+
+  /**
+   * Writes the snapshot once every task of the run has completed or failed. The status change
+   * to 'finalizing' is atomic, so only one of the workers finishing at the same time writes it.
+   * @private
+   */
+  static async _finalizeIfDone(run) {
+    const finished = new Set([...run.completedTasks, ...run.failedTasks]);
+    if (!run.tasks.every(task => finished.has(task))) return;
+
+    const claimed = await ScanRun.findOneAndUpdate(
+      { _id: run._id, status: 'running' },
+      { $set: { status: 'finalizing' } },
+      { new: true }
+    );
+    if (!claimed) return;
+
+    try {
+      if (claimed.completedTasks.length === 0) {
+        throw new Error('every analysis task failed');
+      }
+
+      const previous = await Report.findOne({ walletId: claimed.walletId }).sort({ createdAt: -1 }).lean();
+      const details = {};
+      const carriedOverSections = [];
+      Object.values(SECTIONS).forEach(section => {
+        if (claimed.details[section] !== undefined) {
+          details[section] = claimed.details[section];
+        } else if (previous && previous.details && previous.details[section] !== undefined) {
+          details[section] = previous.details[section];
+          carriedOverSections.push(section);
+        }
+      });
+
+      const { score: riskScore, factors } = RiskScoringService.scoreReport(details);
+      details.riskBreakdown = factors;
+
+      const report = await Report.create({
+        walletId: claimed.walletId,
+        scanRunId: claimed._id,
+        riskScore,
+        summary: `Wallet analysis complete. Overall risk score: ${riskScore}/100.`,
+        details,
+        carriedOverSections,
+      });
+
+      await ScanRun.updateOne({ _id: claimed._id }, { $set: { status: 'completed', reportId: report._id, completedAt: new Date() } });
+      console.log(`[ScanRunService] Scan run ${claimed._id} produced report ${report._id} with risk score ${riskScore}`);
+    } catch (error) {
+      await ScanRun.updateOne({ _id: claimed._id }, { $set: { status: 'failed', completedAt: new Date() } });
+      console.error(`[ScanRunService] Failed to write the report of scan run ${claimed._id}:`, error.message);
+      return;
+    }
+
+    try {
+      await this.applyRetention(claimed.walletId);
+    } catch (error) {
+      console.error(`[ScanRunService] Failed to prune old reports for wallet ${claimed.walletId}:`, error.message);
+    }
+  }
+}
+
+module.exports = ScanRunService;
@@ -0,0 +1,204 @@
+const parser = require('@solidity-parser/parser');
+
+const AUTH_FUNCTIONS = new Set(['require', 'assert']);
+
+// Used on files the parser rejects: call-shaped patterns over code stripped of comments and strings
+const FALLBACK_PATTERNS = {
+  selfdestruct: /\b(selfdestruct|suicide)\s*\(/g,
+  delegatecall: /\.delegatecall\s*[({]/g,
+  callcode: /\.callcode\s*[({]/g,
+  ecrecover: /\becrecover\s*\(/g,
+  assembly: /\bassembly\s*(\(\s*"[^"]*"\s*\)\s*)?\{/g,
+  'tx.origin': /\btx\s*\.\s*origin\b/g,
+};
+
+class SourceAnalysisService {
+  /**
+   * Locates risky constructs in verified Solidity source code by parsing it, so that comments,
+   * strings and identifiers that merely contain a keyword are not reported. Handles the single-file,
+   * multi-file and standard-JSON formats returned by Etherscan. How severe each construct is
+   * is decided by the `source` rules (see RuleEngineService.evaluateSource).
+   * @param {string} sourceCode - The `SourceCode` field returned by Etherscan.
+   * @returns {{findings: {construct: string, file: string, line: number, snippet: string}[], unparsedFiles: string[]}}
+   * Every occurrence with its file and line, and the files that failed to parse.
+   */
+  static analyze(sourceCode) {
+    const findings = [];
+    const unparsedFiles = [];
+
+    for (const { path, content } of this.unpackSources(sourceCode)) {
+      let ast;
+      try {
+        ast = parser.parse(content, { loc: true });
+      } catch (error) {
+        unparsedFiles.push(path);
+        findings.push(...this._matchPatterns(content, path));
+        continue;
+      }
+      findings.push(...this._findConstructs(ast, path, content.split('\n')));
+    }
+    return { findings, unparsedFiles };
+  }
+
+  /**
+   * Splits Etherscan's `SourceCode` field into individual files. It holds either plain Solidity,
+   * a JSON map of files, or a standard-JSON input wrapped in an extra pair of braces (`{{...}}`).
+   * @param {string} sourceCode - The `SourceCode` field.
+   * @returns {{path: string, content: string}[]} The source files.
+   */
+  static unpackSources(sourceCode) {
+    const trimmed = (sourceCode || '').trim();
+    if (trimmed.startsWith('{')) {
+      const json = trimmed.startsWith('{{') ? trimmed.slice(1, -1) : trimmed;
+      try {
+        const parsed = JSON.parse(json);
+        const sources = parsed.sources || parsed;
+        const files = Object.entries(sources)
+          .filter(([, file]) => file && typeof file.content === 'string')
+          .map(([path, file]) => ({ path, content: file.content }));
+        if (files.length > 0) return files;
+      } catch (error) {
+        // Not JSON after all; treat it as a single Solidity file
+      }
+    }
+    return [{ path: 'Contract.sol', content: trimmed }];
+  }
+
+  /**
+   * Blanks out comments and string literals, keeping line breaks so line numbers still match.
+   * @param {string} content - Solidity source.
+   * @returns {string} The source with only code left.
+   */
+  static stripCommentsAndStrings(content) {
+    let result = '';
+    let i = 0;
+    while (i < content.length) {
+      const char = content[i];
+      const next = content[i + 1];
+      let end = i + 1;
+      if (char === '/' && next === '/') {
+        end = content.indexOf('\n', i);
+        if (end === -1) end = content.length;
+      } else if (char === '/' && next === '*') {
+        end = content.indexOf('*/', i + 2);
+        end = end === -1 ? content.length : end + 2;
+      } else if (char === '"' || char === "'") {
+        end = i + 1;
+        while (end < content.length && content[end] !== char && content[end] !== '\n') {
+          end += content[end] === '\\' ? 2 : 1;
+        }
+        end = Math.min(end + 1, content.length);
+      } else {
+        result += char;
+        i += 1;
+        continue;
+      }
+      // Keep the quotes so the code stays syntactically recognisable
+      const blanked = content.slice(i, end).replace(/[^\n]/g, ' ');
+      result += char === '"' || char === "'" ? `${char}${blanked.slice(2)}${char}` : blanked;
+      i = end;
+    }
+    return result;
+  }
+
+  /**
+   * Finds risky constructs by pattern in a file that could not be parsed.
+   * @private
+   */
+  static _matchPatterns(content, path) {
+    const code = this.stripCommentsAndStrings(content);
+    const lines = content.split('\n');
+    const findings = [];
+    Object.entries(FALLBACK_PATTERNS).forEach(([construct, pattern]) => {
+      for (const match of code.matchAll(pattern)) {
+        const line = code.slice(0, match.index).split('\n').length;
+        findings.push({ construct, file: path, line, snippet: lines[line - 1].trim().substring(0, 160) });
+      }
+    });
+    return findings;
+  }
+
+  /**
+   * Walks a parsed file and records every risky construct with its location.
+   * @private
+   */
+  static _findConstructs(ast, path, lines) {
+    const findings = [];
+    const record = (construct, node) => {
+      const line = node.loc ? node.loc.start.line : null;
+      findings.push({ construct, file: path, line, snippet: line ? lines[line - 1].trim().substring(0, 160) : null });
+    };
+
+    // tx.origin nodes already reported as authorization checks
+    const authOriginNodes = new Set();
+    const collectOrigins = (node) => {
+      parser.visit(node, {
+        MemberAccess: (member) => {
+          if (this._isTxOrigin(member)) authOriginNodes.add(member);
+        },
+      });
+    };
+
+    parser.visit(ast, {
+      FunctionCall: (node) => {
+        const { expression } = node;
+        if (expression.type === 'Identifier') {
+          if (expression.name === 'selfdestruct' || expression.name === 'suicide') record('selfdestruct', node);
+          if (expression.name === 'ecrecover') record('ecrecover', node);
+          if (AUTH_FUNCTIONS.has(expression.name) && node.arguments.length > 0) {
+            const before = authOriginNodes.size;
+            collectOrigins(node.arguments[0]);
+            if (authOriginNodes.size > before) record('tx.origin auth', node);
+          }
+        }
+        if (expression.type === 'MemberAccess' && (expression.memberName === 'delegatecall' || expression.memberName === 'callcode')) {
+          record(expression.memberName, node);
+        }
+        // new Contract{salt: ...}(...) deploys with CREATE2
+        if (expression.type === 'NameValueExpression' && expression.expression.type === 'NewExpression'
+          && expression.arguments.names.includes('salt')) {
+          record('create2', node);
+        }
+      },
+      IfStatement: (node) => {
+        const before = authOriginNodes.size;
+        collectOrigins(node.condition);
+        if (authOriginNodes.size > before) record('tx.origin auth', node);
+      },
+      InlineAssemblyStatement: (node) => {
+        record('assembly', node);
+      },
+      AssemblyCall: (node) => {
+        if (['delegatecall', 'callcode', 'selfdestruct', 'create2'].includes(node.functionName)) {
+          record(node.functionName, node);
+        }
+      },
+      ModifierInvocation: (node) => {
+        if (node.name.toLowerCase() === 'onlyowner') record('onlyowner', node);
+      },
+      FunctionDefinition: (node) => {
+        // Internal helpers such as OpenZeppelin's _mint are only reachable through a public entry point.
+        if (!node.name || node.name.startsWith('_') || !['public', 'external'].includes(node.visibility)) return;
+        const name = node.name.toLowerCase();
+        if (name.includes('mint')) record('mint', node);
+        if (name.includes('burn')) record('burn', node);
+      },
+    });
+
+    // Any tx.origin not used in an authorization check is still worth a mention.
+    parser.visit(ast, {
+      MemberAccess: (node) => {
+        if (this._isTxOrigin(node) && !authOriginNodes.has(node)) record('tx.origin', node);
+      },
+    });
+
+    return findings;
+  }
+
+  /** @private */
+  static _isTxOrigin(node) {
+    return node.memberName === 'origin' && node.expression.type === 'Identifier' && node.expression.name === 'tx';
+  }
+}
+
+module.exports = SourceAnalysisService;
@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+const BlockchainService = require('./blockchain.service');
+const TokenMetadataService = require('./tokenMetadata.service');
+const PriceService = require('./price.service');
+
+const stakingInterface = new ethers.Interface([
+  // Synthetix StakingRewards and its many forks
+  'function balanceOf(address account) view returns (uint256)',
+  'function earned(address account) view returns (uint256)',
+  'function stakingToken() view returns (address)',
+  'function rewardsToken() view returns (address)',
+  // MasterChef and forks
+  'function userInfo(uint256 pid, address user) view returns (uint256 amount, uint256 rewardDebt)',
+  'function pendingReward(uint256 pid, address user) view returns (uint256)',
+  'function pendingSushi(uint256 pid, address user) view returns (uint256)',
+  'function pendingCake(uint256 pid, address user) view returns (uint256)',
+  'function pendingTokens(uint256 pid, address user) view returns (uint256)',
+  'function lpToken(uint256 pid) view returns (address)',
+  'function poolInfo(uint256 pid) view returns (address lpToken)',
+  'function rewardToken() view returns (address)',
+  'function sushi() view returns (address)',
+  'function cake() view returns (address)',
+  // ERC-4626 vaults
+  'function asset() view returns (address)',
+  'function convertToAssets(uint256 shares) view returns (uint256)',
+]);
+
+const MASTERCHEF_PENDING_FUNCTIONS = ['pendingReward', 'pendingSushi', 'pendingCake', 'pendingTokens'];
+const MASTERCHEF_REWARD_TOKEN_FUNCTIONS = ['rewardToken', 'sushi', 'cake'];
+
+class StakingService {
+  /**
+   * Reads a wallet's position in a staking contract by trying the common staking interfaces in
+   * turn: MasterChef pools (when the pool id is known), Synthetix-style StakingRewards, ERC-4626
+   * vaults and finally a plain `balanceOf`.
+   * @param {string} contractAddress - The staking contract.
+   * @param {string} ownerAddress - The wallet address.
+   * @param {string} chain - The blockchain name.
+   * @param {object} [options={}] - Adapter hints ({ pid } for MasterChef pools).
+   * @returns {Promise<object|null>} The position ({ adapter, stakedToken, stakedAmount, stakedAmountDisplay, rewards }), or null if no interface answered.
+   */
+  static async getPosition(contractAddress, ownerAddress, chain, options = {}) {
+    if (options.pid !== undefined && options.pid !== null) {
+      const masterChefPosition = await this._readMasterChef(contractAddress, ownerAddress, chain, options.pid);
+      if (masterChefPosition) return masterChefPosition;
+    }
+
+    const balance = await this._call(contractAddress, chain, 'balanceOf', [ownerAddress]);
+    if (balance === null) {
+      return null;
+    }
+
+    const earned = await this._call(contractAddress, chain, 'earned', [ownerAddress]);
+    if (earned !== null) {
+      const [stakedToken, rewardsToken] = await Promise.all([
+        this._call(contractAddress, chain, 'stakingToken'),
+        this._call(contractAddress, chain, 'rewardsToken'),
+      ]);
+      return this._buildPosition('staking-rewards', stakedToken, balance, [{ token: rewardsToken, amount: earned }], chain);
+    }
+
+    const asset = await this._call(contractAddress, chain, 'asset');
+    if (asset !== null) {
+      const assets = balance > 0n ? await this._call(contractAddress, chain, 'convertToAssets', [balance]) : 0n;
+      return this._buildPosition('erc4626', asset, assets !== null ? assets : balance, [], chain);
+    }
+
+    // A receipt token minted on deposit: the contract itself is the staked asset.
+    return this._buildPosition('balance', contractAddress, balance, [], chain);
+  }
+
+  /** @private */
+  static async _readMasterChef(contractAddress, ownerAddress, chain, pid) {
+    const userInfo = await this._call(contractAddress, chain, 'userInfo', [pid, ownerAddress], true);
+    if (userInfo === null) {
+      return null;
+    }
+
+    let pending = null;
+    for (const functionName of MASTERCHEF_PENDING_FUNCTIONS) {
+      pending = await this._call(contractAddress, chain, functionName, [pid, ownerAddress]);
+      if (pending !== null) break;
+    }
+    let rewardToken = null;
+    for (const functionName of MASTERCHEF_REWARD_TOKEN_FUNCTIONS) {
+      rewardToken = await this._call(contractAddress, chain, functionName);
+      if (rewardToken !== null) break;
+    }
+    const stakedToken = await this._call(contractAddress, chain, 'lpToken', [pid])
+      || await this._call(contractAddress, chain, 'poolInfo', [pid]);
+
+    const rewards = pending !== null ? [{ token: rewardToken, amount: pending }] : [];
+    return this._buildPosition('masterchef', stakedToken, userInfo[0], rewards, chain, { pid: Number(pid) });
+  }
+
+  /** @private */
+  static async _buildPosition(adapter, stakedToken, stakedAmount, rewards, chain, extra = {}) {
+    const tokenAddresses = [stakedToken, ...rewards.map(reward => reward.token)].filter(Boolean);
+    const [tokenMetadata, prices] = await Promise.all([
+      TokenMetadataService.getMetadataBatch(tokenAddresses, chain),
+      PriceService.getPricesUsd(tokenAddresses, chain),
+    ]);
+    const metadataOf = (address) => (address ? tokenMetadata.get(address.toLowerCase()) : null);
+    const valueOf = (address, amount) => {
+      const priceUsd = address ? prices.get(address.toLowerCase()) : undefined;
+      return priceUsd !== undefined ? Math.round(Number(amount) * priceUsd * 100) / 100 : null;
+    };
+
+    const formattedStake = TokenMetadataService.formatAmount(stakedAmount, metadataOf(stakedToken));
+    return {
+      adapter,
+      ...extra,
+      stakedToken,
+      stakedTokenSymbol: metadataOf(stakedToken) ? metadataOf(stakedToken).symbol : null,
+      stakedAmountRaw: stakedAmount.toString(),
+      stakedAmount: formattedStake,
+      stakedAmountDisplay: TokenMetadataService.formatDisplayAmount(stakedAmount, metadataOf(stakedToken)),
+      stakedValueUsd: valueOf(stakedToken, formattedStake),
+      rewards: rewards.map(({ token, amount }) => {
+        const formattedReward = TokenMetadataService.formatAmount(amount, metadataOf(token));
+        return {
+          token,
+          symbol: metadataOf(token) ? metadataOf(token).symbol : null,
+          amountRaw: amount.toString(),
+          amount: formattedReward,
+          amountDisplay: TokenMetadataService.formatDisplayAmount(amount, metadataOf(token)),
+          valueUsd: valueOf(token, formattedReward),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Performs a view call, returning the decoded value (or the full result when `fullResult` is set),
+   * or null when the contract does not implement the function.
+   * @private
+   */
+  static async _call(address, chain, functionName, args = [], fullResult = false) {
+    const provider = BlockchainService.getProvider(chain);
+    try {
+      const data = stakingInterface.encodeFunctionData(functionName, args);
+      const raw = await provider.call({ to: address, data });
+      if (!raw || raw === '0x') return null;
+      const decoded = stakingInterface.decodeFunctionResult(functionName, raw);
+      return fullResult ? decoded : decoded[0];
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = StakingService;
@@ -0,0 +1,232 @@
+const { ethers } = require('ethers');
+const TokenMetadata = require('../models/TokenMetadata');
+const BlockchainService = require('./blockchain.service');
+
+const MAX_UINT256 = ethers.MaxUint256;
+const DEFAULT_DECIMALS = 18;
+
+// ERC165 interface IDs used to tell NFT contracts apart from fungible tokens
+const ERC721_INTERFACE_ID = '0x80ac58cd';
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+
+const tokenInterface = new ethers.Interface([
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+]);
+
+// Tokens read on-chain at once by getMetadataBatch (each takes several calls)
+const ONCHAIN_BATCH_SIZE = 25;
+
+// A simple in-memory cache, mirroring the one used by the LabelService
+const metadataCache = new Map();
+
+class TokenMetadataService {
+  /**
+   * Resolves the metadata of a single token.
+   * @param {string} address - The token contract address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<object>} The token metadata ({ address, chain, name, symbol, decimals, standard, isFallback }).
+   */
+  static async getMetadata(address, chain) {
+    const metadata = await this.getMetadataBatch([address], chain);
+    return metadata.get(address.toLowerCase());
+  }
+
+  /**
+   * Resolves the metadata of many tokens, checking the in-memory cache, then the database,
+   * and finally reading the contracts on-chain. Tokens that cannot be resolved get a fallback
+   * entry (18 decimals, no symbol) which is never persisted, so they are retried on the next run.
+   * @param {string[]} addresses - The token contract addresses.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<Map<string, object>>} A map of lowercase addresses to their metadata.
+   */
+  static async getMetadataBatch(addresses, chain) {
+    const lowercasedAddresses = [...new Set(addresses.filter(Boolean).map(a => a.toLowerCase()))];
+    const result = new Map();
+
+    // 1. In-memory cache
+    const uncachedAddresses = [];
+    for (const address of lowercasedAddresses) {
+      const cacheKey = `${address}-${chain}`;
+      if (metadataCache.has(cacheKey)) {
+        result.set(address, metadataCache.get(cacheKey));
+      } else {
+        uncachedAddresses.push(address);
+      }
+    }
+    if (uncachedAddresses.length === 0) {
+      return result;
+    }
+
+    // 2. Database cache
+    const dbEntries = await TokenMetadata.find({ address: { $in: uncachedAddresses }, chain }).lean();
+    dbEntries.forEach(entry => {
+      const metadata = this._toMetadata(entry, false);
+      result.set(entry.address, metadata);
+      metadataCache.set(`${entry.address}-${chain}`, metadata);
+    });
+
+    // 3. On-chain resolution for the rest
+    const remainingAddresses = uncachedAddresses.filter(a => !result.has(a));
+    if (remainingAddresses.length === 0) {
+      return result;
+    }
+
+    const settled = [];
+    for (let start = 0; start < remainingAddresses.length; start += ONCHAIN_BATCH_SIZE) {
+      const batch = remainingAddresses.slice(start, start + ONCHAIN_BATCH_SIZE);
+      settled.push(...await Promise.allSettled(batch.map(address => this.fetchOnChainMetadata(address, chain))));
+    }
+    const newEntriesToSave = [];
+    settled.forEach((outcome, index) => {
+      const address = remainingAddresses[index];
+      const entry = outcome.status === 'fulfilled' ? outcome.value : null;
+
+      if (entry && entry.standard !== 'unknown') {
+        const metadata = this._toMetadata(entry, false);
+        result.set(address, metadata);
+        metadataCache.set(`${address}-${chain}`, metadata);
+        newEntriesToSave.push(entry);
+      } else {
+        result.set(address, this._toMetadata({ address, chain }, true));
+      }
+    });
+
+    if (newEntriesToSave.length > 0) {
+      TokenMetadata.insertMany(newEntriesToSave, { ordered: false })
+        .catch(err => {
+          if (err.code !== 11000) console.error('[TokenMetadataService] Error saving token metadata to DB:', err);
+        });
+    }
+
+    return result;
+  }
+
+  /**
+   * Reads name, symbol, decimals and token standard directly from a contract.
+   * Handles tokens that return bytes32 instead of string for name/symbol (e.g. MKR).
+   * @param {string} address - The token contract address.
+   * @param {string} chain - The blockchain name.
+   * @returns {Promise<object>} The raw metadata entry.
+   */
+  static async fetchOnChainMetadata(address, chain) {
+    const [isErc721, isErc1155, decimalsRaw, nameRaw, symbolRaw] = await Promise.all([
+      this._call(address, chain, 'supportsInterface', [ERC721_INTERFACE_ID]),
+      this._call(address, chain, 'supportsInterface', [ERC1155_INTERFACE_ID]),
+      this._call(address, chain, 'decimals'),
+      this._call(address, chain, 'name'),
+      this._call(address, chain, 'symbol'),
+    ]);
+
+    let standard = 'unknown';
+    if (this._decodeBool(isErc721)) {
+      standard = 'ERC721';
+    } else if (this._decodeBool(isErc1155)) {
+      standard = 'ERC1155';
+    }
+
+    let decimals = null;
+    if (decimalsRaw && decimalsRaw.length >= 66) {
+      const value = BigInt(decimalsRaw.substring(0, 66));
+      if (value <= 255n) {
+        decimals = Number(value);
+        if (standard === 'unknown') standard = 'ERC20';
+      }
+    }
+
+    return {
+      address: address.toLowerCase(),
+      chain,
+      name: this._decodeString(nameRaw),
+      symbol: this._decodeString(symbolRaw),
+      decimals: standard === 'ERC20' ? decimals : 0,
+      standard,
+    };
+  }
+
+  /**
+   * Formats a raw token amount using the token's decimals.
+   * @param {bigint|string} amount - The raw on-chain amount.
+   * @param {object} metadata - The token metadata from getMetadata.
+   * @returns {string} The decimal-adjusted amount.
+   */
+  static formatAmount(amount, metadata) {
+    const decimals = metadata && Number.isInteger(metadata.decimals) ? metadata.decimals : DEFAULT_DECIMALS;
+    return ethers.formatUnits(BigInt(amount.toString()), decimals);
+  }
+
+  /**
+   * Formats a raw amount for display in reports and alerts, e.g. "1,250.5 USDC" or "Unlimited USDC".
+   * @param {bigint|string} amount - The raw on-chain amount.
+   * @param {object} metadata - The token metadata from getMetadata.
+   * @returns {string}
+   */
+  static formatDisplayAmount(amount, metadata) {
+    const symbol = metadata && metadata.symbol ? ` ${metadata.symbol}` : '';
+    if (BigInt(amount.toString()) === MAX_UINT256) {
+      return `Unlimited${symbol}`;
+    }
+    const [whole, fraction = ''] = this.formatAmount(amount, metadata).split('.');
+    const trimmedFraction = fraction.substring(0, 4).replace(/0+$/, '');
+    const groupedWhole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    return `${groupedWhole}${trimmedFraction ? `.${trimmedFraction}` : ''}${symbol}`;
+  }
+
+  /**
+   * Performs a raw eth_call with a short timeout, returning null when the contract does not answer.
+   * @private
+   */
+  static async _call(address, chain, functionName, args = []) {
+    const provider = BlockchainService.getProvider(chain);
+    try {
+      const data = tokenInterface.encodeFunctionData(functionName, args);
+      const result = await Promise.race([
+        provider.call({ to: address, data }),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 3000)),
+      ]);
+      return result && result !== '0x' ? result : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /** @private */
+  static _decodeBool(raw) {
+    if (!raw || raw.length < 66) return false;
+    return BigInt(raw.substring(0, 66)) === 1n;
+  }
+
+  /** @private */
+  static _decodeString(raw) {
+    if (!raw) return null;
+    try {
+      if (raw.length === 66) {
+        // bytes32-encoded string (pre-standard tokens)
+        const bytes = ethers.getBytes(raw);
+        const end = bytes.indexOf(0);
+        return ethers.toUtf8String(end === -1 ? bytes : bytes.slice(0, end)).trim() || null;
+      }
+      const [value] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], raw);
+      return value.replace(/\u0000/g, '').trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /** @private */
+  static _toMetadata(entry, isFallback) {
+    return {
+      address: entry.address,
+      chain: entry.chain,
+      name: entry.name || null,
+      symbol: entry.symbol || null,
+      decimals: Number.isInteger(entry.decimals) ? entry.decimals : DEFAULT_DECIMALS,
+      standard: entry.standard || 'unknown',
+      isFallback,
+    };
+  }
+}
+
+module.exports = TokenMetadataService;
@@ -2,6 +2,8 @@ const { createWorker } = require('./workerRunner');
 const JobService = require('../services/JobService');
 const Wallet = require('../models/Wallet');
 const BlockchainService = require('../services/blockchain.service');
+const ApprovalIndexerService = require('../services/approvalIndexer.service');
+const ScanRunService = require('../services/scanRun.service');
 
 const TASK_TYPE = 'fetch_transactions';
 
@@ -66,22 +68,37 @@ const processFetchTransactions = async (job) => {
       cache.lastBlock.tokennfttx = Math.max(...newNfttx.map(tx => parseInt(tx.blockNumber, 10)));
     }
     
+    // 3. Index approval events straight from the node. This is best-effort: a node that
+    // cannot serve the logs must not block the transaction-based analysis.
+    // The first index starts at the oldest cached transfer or transaction, as the wallet cannot
+    // have approved anything before it first held tokens.
+    const cachedBlocks = [...cache.txlist, ...cache.tokentx, ...cache.tokennfttx]
+      .map(tx => parseInt(tx.blockNumber, 10))
+      .filter(n => !isNaN(n));
+    const fromBlock = cache.lastBlock.approvalLogs ? cache.lastBlock.approvalLogs + 1 : (cachedBlocks.length > 0 ? Math.min(...cachedBlocks) : null);
+    try {
+      if (fromBlock !== null) {
+        const latestBlock = await BlockchainService.getBlockNumber(wallet.chain);
+        const newApprovalLogs = await ApprovalIndexerService.fetchApprovalLogs(wallet.address, wallet.chain, { fromBlock, toBlock: latestBlock });
+        // Only the last log of each token-spender pair is kept, so the cache does not grow with every re-approval.
+        cache.approvalLogs = ApprovalIndexerService.compactApprovalLogs((cache.approvalLogs || []).concat(newApprovalLogs));
+        cache.lastBlock.approvalLogs = latestBlock;
+        console.log(`[TxFetcherWorker] Indexed ${newApprovalLogs.length} new approval logs for wallet ${wallet.address}.`);
+      }
+    } catch (logError) {
+      console.warn(`[TxFetcherWorker] Could not index approval logs for wallet ${wallet.address}:`, logError.message);
+    }
+
     cache.updatedAt = new Date();
     wallet.markModified('transactionCache'); // Important: Mongoose needs this to detect changes in nested objects
     await wallet.save();
 
     console.log(`[TxFetcherWorker] Fetched and cached ${newTxlist.length} new normal txs, ${newTokentx.length} new token txs, and ${newNfttx.length} new NFT txs.`);
 
-    // 3. Now that data is cached, trigger the actual analysis workers
-    const analysisTasks = [
-      'analyze_approvals',
-      'analyze_contracts',
-      'analyze_activity',
-      'analyze_lp_stake',
-    ];
-
-    for (const taskType of analysisTasks) {
-      await JobService.createJob(walletId, taskType);
+    // 4. Now that data is cached, trigger the actual analysis workers as part of the same scan run
+    const scanRunId = job.payload && job.payload.scanRunId;
+    for (const taskType of ScanRunService.getAnalysisTasks()) {
+      await JobService.createJob(walletId, taskType, scanRunId ? { scanRunId } : {});
     }
     
     console.log(`[TxFetcherWorker] Triggered subsequent analysis jobs for wallet: ${wallet.address}`);
@@ -1,49 +1,11 @@
 const { createWorker } = require('./workerRunner');
 const Wallet = require('../models/Wallet');
-const Report = require('../models/Report');
 const User = require('../models/User');
 const NotificationService = require('../services/notification.service');
+const ScanRunService = require('../services/scanRun.service');
 
 const TASK_TYPE = 'analyze_activity';
 
-/**
- * Calculates a risk score based on the report details.
- * @param {object} details - The details object from the report.
- * @returns {number} - A risk score from 0 to 100.
- */
-const calculateRiskScore = (details) => {
-  let score = 0;
-
-  // 1. Approval risks (Max 40 points)
-  if (details.approvalAnalysis && details.approvalAnalysis.items) {
-    const unlimitedCount = details.approvalAnalysis.items.filter(a => a.isUnlimited).length;
-    const limitedCount = details.approvalAnalysis.items.length - unlimitedCount;
-    score += Math.min(unlimitedCount * 10, 30); // 10 points per unlimited approval, max 30
-    score += Math.min(limitedCount * 2, 10);   // 2 points per limited approval, max 10
-  }
-
-  // 2. Contract risks (Max 40 points)
-  if (details.contractAnalysis) {
-    const unverifiedCount = details.contractAnalysis.unverifiedContracts.length;
-    const riskyKeywordCount = details.contractAnalysis.verifiedContractsWithRisks.length;
-    score += Math.min(unverifiedCount * 5, 25); // 5 points per unverified contract, max 25
-    score += Math.min(riskyKeywordCount * 3, 15); // 3 points per risky contract, max 15
-  }
-
-  // 3. Transaction activity risks (Max 20 points)
-  if (details.activityMetrics) {
-    if (details.activityMetrics.transactionCount < 10) {
-      score += 10; // Low activity might be risky
-    }
-    if (details.activityMetrics.walletAgeDays < 30) {
-      score += 10; // Very new wallet is a potential risk
-    }
-  }
-
-  return Math.min(score, 100); // Cap the score at 100
-};
-
-
 /**
  * Processes a single 'analyze_activity' job.
  * @param {Job} job - The job object from the database.
@@ -56,17 +18,9 @@ const processActivityAnalysis = async (job) => {
     throw new Error(`Wallet with ID ${walletId} not found.`);
   }
 
-  console.log(`[ActivityWorker] Starting activity analysis and risk scoring for wallet: ${wallet.address}`);
+  console.log(`[ActivityWorker] Starting activity analysis for wallet: ${wallet.address}`);
 
   try {
-    // Find the latest report to get all details
-    const report = await Report.findOne({ walletId }).sort({ createdAt: -1 });
-
-    if (!report || !report.details) {
-      console.warn(`[ActivityWorker] Report for wallet ${wallet.address} not found or is empty. Skipping scoring.`);
-      return;
-    }
-
     // --- Start of Activity Metrics Calculation ---
     const txlist = wallet.transactionCache.txlist || [];
     let activityMetrics = {};
@@ -74,7 +28,8 @@ const processActivityAnalysis = async (job) => {
     if (txlist.length > 0) {
       const firstTxTimestamp = parseInt(txlist[0].timeStamp, 10);
       const lastTxTimestamp = parseInt(txlist[txlist.length - 1].timeStamp, 10);
-      const walletAgeDays = (lastTxTimestamp - firstTxTimestamp) / (60 * 60 * 24);
+      // Measured up to now, as guest scans do, so both score wallet age the same way
+      const walletAgeDays = (Date.now() / 1000 - firstTxTimestamp) / (60 * 60 * 24);
       
       const uniqueAddresses = new Set();
       txlist.forEach(tx => {
@@ -99,17 +54,12 @@ const processActivityAnalysis = async (job) => {
       };
     }
     
-    report.details.activityMetrics = activityMetrics;
     // --- End of Activity Metrics Calculation ---
 
-    const riskScore = calculateRiskScore(report.details);
-    
-    report.riskScore = riskScore;
-    report.summary = `Wallet analysis complete. Overall risk score: ${riskScore}/100.`;
-        
-    await report.save();
+    // The risk score is calculated once every section of the scan run is in (see ScanRunService).
+    await ScanRunService.recordSection(job, activityMetrics);
 
-    console.log(`[ActivityWorker] Successfully calculated risk score (${riskScore}) and updated report for wallet: ${wallet.address}`);
+    console.log(`[ActivityWorker] Recorded activity metrics for wallet: ${wallet.address}`);
 
     // General notification has been removed. Specific workers now send stateful notifications.
 
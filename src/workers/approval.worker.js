@@ -1,38 +1,273 @@
 const { createWorker } = require('./workerRunner');
 const Wallet = require('../models/Wallet');
-const Report = require('../models/Report');
+const ScanRunService = require('../services/scanRun.service');
 const BlockchainService = require('../services/blockchain.service');
 const NotificationService = require('../services/notification.service');
 const LabelService = require('../services/label.service');
+const ApprovalIndexerService = require('../services/approvalIndexer.service');
+const TokenMetadataService = require('../services/tokenMetadata.service');
+const ExposureService = require('../services/exposure.service');
+const RuleEngineService = require('../services/ruleEngine.service');
 const User = require('../models/User');
 const { ethers } = require('ethers');
 
 const TASK_TYPE = 'analyze_approvals';
 const MAX_UINT256 = '115792089237316195423570985008687907853269984665640564039457584007913129639935';
 
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT48 = (1n << 48n) - 1n;
+// Permit2 expirations further out than this are reported as never expiring
+const PERMIT2_NEVER_EXPIRES_SECONDS = 10 * 365 * 24 * 60 * 60;
+
 // ABIs for parsing various types of approval-related transactions
 const APPROVAL_ABIS = [
   // Standard ERC20/ERC721 approvals
   'function approve(address spender, uint256 amount)',
   'function setApprovalForAll(address operator, bool approved)',
 
+  // Allowance helpers (OpenZeppelin ERC20 and most tokens derived from it)
+  'function increaseAllowance(address spender, uint256 addedValue)',
+  'function decreaseAllowance(address spender, uint256 subtractedValue)',
+
   // EIP-2612 Permit (gasless approvals)
   'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
 
-  // Uniswap's Permit2 single permit
-  'function permit(address, ((address, uint256), uint256, uint256), bytes)',
-  
-  // Uniswap's Permit2 batch permit
-  'function permit(((address,uint256)[],uint256,uint256),bytes)',
+  // DAI-style permit: explicit nonce, all-or-nothing allowance and an expiry of 0 meaning "never"
+  'function permit(address holder, address spender, uint256 nonce, uint256 expiry, bool allowed, uint8 v, bytes32 r, bytes32 s)',
+
+  // Uniswap's Permit2 (AllowanceTransfer) single and batch permits
+  'function permit(address owner, ((address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline) permitSingle, bytes signature)',
+  'function permit(address owner, ((address token, uint160 amount, uint48 expiration, uint48 nonce)[] details, address spender, uint256 sigDeadline) permitBatch, bytes signature)',
 
-  // Common Permit2 interaction functions
-  'function permitTransferFrom(((address,uint256),uint256,address),address,bytes)',
-  'function permitWitnessTransferFrom(((address,uint256),uint256,address),address,bytes32,string,bytes)'
+  // Permit2 direct allowance management
+  'function approve(address token, address spender, uint160 amount, uint48 expiration)',
+  'function lockdown((address token, address spender)[] approvals)',
+
+  // Permit2 (SignatureTransfer) one-time transfers
+  'function permitTransferFrom(((address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, (address to, uint256 requestedAmount) transferDetails, address owner, bytes signature)',
+  'function permitWitnessTransferFrom(((address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, (address to, uint256 requestedAmount) transferDetails, address owner, bytes32 witness, string witnessTypeString, bytes signature)'
 ];
 const approvalInterface = new ethers.Interface(APPROVAL_ABIS);
 
+const EIP2612_PERMIT_SIGNATURE = 'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)';
+const DAI_PERMIT_SIGNATURE = 'permit(address,address,uint256,uint256,bool,uint8,bytes32,bytes32)';
+const PERMIT2_PERMIT_SINGLE = approvalInterface.getFunction('0x2b67b570');
+const PERMIT2_PERMIT_BATCH = approvalInterface.getFunction('0x2a2d80d1');
+
+// ABIs of contracts that execute calls on the wallet's behalf. Approvals nested in their
+// payloads are granted by the wallet just like direct ones, so they are unwrapped before parsing.
+const WRAPPER_ABIS = [
+  // Router multicalls (Uniswap V3/SwapRouter02, Sushi, ...), executed with msg.sender = wallet
+  'function multicall(bytes[] data)',
+  'function multicall(uint256 deadline, bytes[] data)',
+
+  // Uniswap PeripheryPayments self-permits: the router submits token.permit(wallet, router, ...)
+  'function selfPermit(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function selfPermitIfNecessary(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function selfPermitAllowed(address token, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s)',
+  'function selfPermitAllowedIfNecessary(address token, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s)',
+
+  // Uniswap Universal Router
+  'function execute(bytes commands, bytes[] inputs)',
+  'function execute(bytes commands, bytes[] inputs, uint256 deadline)',
+
+  // Smart-contract wallets (Safe, ERC-4337 accounts), only unwrapped when the scanned wallet is the one executing
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)',
+  'function multiSend(bytes transactions)',
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls)',
+  'function execute(address dest, uint256 value, bytes func)',
+  'function executeBatch(address[] dest, bytes[] func)',
+  'function executeBatch(address[] dest, uint256[] value, bytes[] func)',
+];
+const wrapperInterface = new ethers.Interface(WRAPPER_ABIS);
+
+// Universal Router command types (see Uniswap's Commands.sol)
+const UR_COMMAND_TYPE_MASK = 0x3f;
+const UR_PERMIT2_PERMIT_BATCH = 0x03;
+const UR_PERMIT2_PERMIT = 0x0a;
+
+// Wrappers rarely nest more than a couple of levels; anything deeper is not worth decoding.
+const MAX_UNWRAP_DEPTH = 4;
+
+// Smart-contract wallet entry points. A transaction sent to the wallet by someone else is only
+// decoded when it calls one of these; anything else sent to it (e.g. spam approve calldata) acts on nothing.
+const WALLET_EXECUTION_SIGNATURES = new Set([
+  'execTransaction(address,uint256,bytes,uint8,uint256,uint256,uint256,address,address,bytes)',
+  'execute(address,uint256,bytes)',
+  'executeBatch(address[],bytes[])',
+  'executeBatch(address[],uint256[],bytes[])',
+]);
+
+/**
+ * Splits a Safe MultiSend payload into its calls. Each call is packed as
+ * operation (uint8) | to (address) | value (uint256) | data length (uint256) | data.
+ * @param {string} transactions - The packed multiSend bytes.
+ * @returns {Array<{to: string, data: string}>}
+ */
+const decodeMultiSend = (transactions) => {
+  const bytes = ethers.getBytes(transactions);
+  const calls = [];
+  let offset = 0;
+  while (offset + 85 <= bytes.length) {
+    const to = ethers.getAddress(ethers.hexlify(bytes.slice(offset + 1, offset + 21)));
+    const dataLength = Number(ethers.toBigInt(bytes.slice(offset + 53, offset + 85)));
+    calls.push({ to, data: ethers.hexlify(bytes.slice(offset + 85, offset + 85 + dataLength)) });
+    offset += 85 + dataLength;
+  }
+  return calls;
+};
+
+/**
+ * Decodes the Permit2 permits embedded in a Universal Router `execute` call.
+ * @private
+ */
+const decodeUniversalRouterPermits = (commands, inputs, context) => {
+  if (!context.permit2Address) return [];
+  const calls = [];
+  ethers.getBytes(commands).forEach((command, index) => {
+    const commandType = command & UR_COMMAND_TYPE_MASK;
+    const fragment = commandType === UR_PERMIT2_PERMIT ? PERMIT2_PERMIT_SINGLE : commandType === UR_PERMIT2_PERMIT_BATCH ? PERMIT2_PERMIT_BATCH : null;
+    if (!fragment || !inputs[index]) return;
+    try {
+      const [permit, signature] = ethers.AbiCoder.defaultAbiCoder().decode([fragment.inputs[1], 'bytes'], inputs[index]);
+      calls.push({ target: context.permit2Address, name: 'permit', signature: fragment.format(), args: [context.walletAddress, permit, signature] });
+    } catch (error) {
+      // Malformed command input, the router would have reverted on it as well.
+    }
+  });
+  return calls;
+};
+
+/**
+ * Recursively decodes a call into the approval calls it performs.
+ * @private
+ */
+const decodeApprovalCalls = (target, data, context, depth) => {
+  if (!target || !data || depth > MAX_UNWRAP_DEPTH) return [];
+
+  const approvalCall = BlockchainService.parseTransactionInput(data, approvalInterface);
+  if (approvalCall) {
+    return [{ target, name: approvalCall.name, signature: approvalCall.signature, args: approvalCall.args }];
+  }
+
+  const wrapperCall = BlockchainService.parseTransactionInput(data, wrapperInterface);
+  if (!wrapperCall) return [];
+
+  const { name, signature, args } = wrapperCall;
+  const isWalletExecution = target.toLowerCase() === context.walletAddress.toLowerCase();
+
+  if (name === 'multicall') {
+    const innerCalls = signature === 'multicall(bytes[])' ? args[0] : args[1];
+    return innerCalls.flatMap(innerData => decodeApprovalCalls(target, innerData, context, depth + 1));
+  }
+  if (name === 'selfPermit' || name === 'selfPermitIfNecessary') {
+    const [token, value, deadline] = args;
+    return [{ target: token, name: 'permit', signature: EIP2612_PERMIT_SIGNATURE, args: [context.walletAddress, target, value, deadline] }];
+  }
+  if (name === 'selfPermitAllowed' || name === 'selfPermitAllowedIfNecessary') {
+    const [token, nonce, expiry] = args;
+    return [{ target: token, name: 'permit', signature: DAI_PERMIT_SIGNATURE, args: [context.walletAddress, target, nonce, expiry, true] }];
+  }
+  if (signature === 'execute(bytes,bytes[])' || signature === 'execute(bytes,bytes[],uint256)') {
+    return decodeUniversalRouterPermits(args[0], args[1], context);
+  }
+  if (!isWalletExecution) {
+    return [];
+  }
+  if (name === 'execTransaction') {
+    const [to, , innerData, operation] = args;
+    // Batches are DELEGATECALLed (operation 1), so their calls are still made by the Safe itself.
+    const batchCall = Number(operation) === 1 ? BlockchainService.parseTransactionInput(innerData, wrapperInterface) : null;
+    if (batchCall && batchCall.name === 'multiSend') {
+      return decodeMultiSend(batchCall.args[0]).flatMap(call => decodeApprovalCalls(call.to, call.data, context, depth + 1));
+    }
+    if (batchCall && batchCall.name === 'aggregate3') {
+      return batchCall.args[0].flatMap(([innerTarget, , callData]) => decodeApprovalCalls(innerTarget, callData, context, depth + 1));
+    }
+    return decodeApprovalCalls(to, innerData, context, depth + 1);
+  }
+  if (signature === 'execute(address,uint256,bytes)') {
+    return decodeApprovalCalls(args[0], args[2], context, depth + 1);
+  }
+  if (name === 'executeBatch') {
+    const [targets, , innerCalls] = signature === 'executeBatch(address[],bytes[])' ? [args[0], null, args[1]] : args;
+    return targets.flatMap((innerTarget, index) => decodeApprovalCalls(innerTarget, innerCalls[index], context, depth + 1));
+  }
+  return [];
+};
+
+/**
+ * Extracts every approval-related call a transaction performs on the wallet's behalf. Besides
+ * direct calls, this unwraps router multicalls, Uniswap self-permits, Universal Router Permit2
+ * commands and, for smart-contract wallets, Safe and ERC-4337 account executions.
+ * Synthetic calls (self-permits, router commands) are normalised to the signature of the
+ * approval they result in, so callers can treat them like direct calls.
+ * @param {object} tx - The transaction ({ from, to, input }).
+ * @param {string} walletAddress - The scanned wallet address.
+ * @param {string} chain - The blockchain name.
+ * @returns {Array<{target: string, name: string, signature: string, args: any[]}>} The approval calls, in execution order.
+ */
+const extractApprovalCalls = (tx, walletAddress, chain) => {
+  if (!tx || typeof tx.from !== 'string' || !tx.to || !tx.input) {
+    return [];
+  }
+  const wallet = walletAddress.toLowerCase();
+  if (tx.from.toLowerCase() !== wallet && tx.to.toLowerCase() !== wallet) {
+    return [];
+  }
+  const context = { walletAddress, permit2Address: BlockchainService.getPermit2Address(chain) };
+  try {
+    if (tx.from.toLowerCase() !== wallet) {
+      const walletCall = BlockchainService.parseTransactionInput(tx.input, wrapperInterface);
+      if (!walletCall || !WALLET_EXECUTION_SIGNATURES.has(walletCall.signature)) {
+        return [];
+      }
+    }
+    return decodeApprovalCalls(tx.to, tx.input, context, 0);
+  } catch (error) {
+    console.warn(`[ApprovalWorker] Could not decode approval calls in tx ${tx.hash}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Converts a unix-seconds deadline to an ISO date, or null when it is too far out to represent
+ * (permits are commonly signed with a type(uint256).max deadline).
+ * @param {bigint|string|number} deadline - The deadline in seconds.
+ * @returns {string|null}
+ */
+const formatDeadline = (deadline) => {
+  const date = new Date(Number(deadline) * 1000);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Builds the stable identifier of an approval finding. It stays the same across scans for as long
+ * as the approval exists, so it is used both to detect new approvals and to select findings to revoke.
+ * @param {object} approval - The approval finding.
+ * @returns {string}
+ */
+const getApprovalId = (approval) =>
+  `${approval.type}-${approval.tokenAddress || approval.contractAddress}-${approval.spender || approval.operator}`.toLowerCase();
+
+/**
+ * Resolves whether a permit found in a successfully mined transaction is still a live exposure.
+ * Mining the permit call consumed the signature, so only the allowance it granted can be left:
+ * - 'active': the spender still has an allowance.
+ * - 'used':   the allowance has since been spent or revoked.
+ * @param {object} permit - The permit ({ tokenAddress, spender }).
+ * @param {string} ownerAddress - The wallet address.
+ * @param {string} chain - The blockchain name.
+ * @returns {Promise<{status: string, allowance: bigint}>}
+ */
+const resolvePermitStatus = async (permit, ownerAddress, chain) => {
+  const allowance = await BlockchainService.getAllowance(permit.tokenAddress, ownerAddress, permit.spender, chain);
+  return { status: allowance > 0n ? 'active' : 'used', allowance };
+};
+
 /**
- * Processes a single 'analyze_approvals' job by parsing transaction history.
+ * Processes a single 'analyze_approvals' job by parsing transaction history and the
+ * indexed approval event logs.
  * @param {Job} job - The job object from the database.
  */
 const processApprovalAnalysis = async (job) => {
@@ -43,73 +278,115 @@ const processApprovalAnalysis = async (job) => {
     throw new Error(`Wallet with ID ${walletId} not found.`);
   }
 
-  console.log(`[ApprovalWorker] Starting transaction-based approval analysis for wallet: ${wallet.address}`);
+  console.log(`[ApprovalWorker] Starting approval analysis for wallet: ${wallet.address}`);
 
   try {
-    const transactions = wallet.transactionCache.txlist || [];
+    // The cache mixes a newest-first initial fetch with oldest-first incremental updates,
+    // so restore chronological order before deciding which approval is the latest one.
+    const transactions = [...(wallet.transactionCache.txlist || [])].sort((a, b) =>
+      (parseInt(a.blockNumber, 10) - parseInt(b.blockNumber, 10)) || (parseInt(a.transactionIndex, 10) - parseInt(b.transactionIndex, 10))
+    );
     const potentialApprovals = new Map(); // Using a map to store the latest approval for a given pair
+    const permit2Address = BlockchainService.getPermit2Address(wallet.chain);
 
     for (const tx of transactions) {
-      // We only care about transactions sent *from* the user's wallet
-      if (tx.from.toLowerCase() !== wallet.address.toLowerCase()) {
-        continue;
+      // Approvals granted by the wallet, directly or nested in router/smart-wallet payloads
+      for (const call of extractApprovalCalls(tx, wallet.address, wallet.chain)) {
+        const { signature, args } = call;
+        const contractAddress = call.target;
+        const isPermit2 = !!permit2Address && contractAddress.toLowerCase() === permit2Address.toLowerCase();
+
+        if (signature === 'approve(address,uint256)') {
+          const [spender, amount] = args;
+          // Store the latest approval amount for this token-spender pair
+          potentialApprovals.set(`${contractAddress}-${spender}`.toLowerCase(), { type: 'ERC20', contractAddress, spender, amount, source: 'transaction' });
+        } else if (signature === 'increaseAllowance(address,uint256)' || signature === 'decreaseAllowance(address,uint256)') {
+          // The resulting allowance depends on the previous one, the live check below reads it.
+          const [spender, amount] = args;
+          potentialApprovals.set(`${contractAddress}-${spender}`.toLowerCase(), { type: 'ERC20', contractAddress, spender, amount, source: 'transaction' });
+        } else if (signature === 'setApprovalForAll(address,bool)') {
+          const [operator, approved] = args;
+          if (approved) {
+            potentialApprovals.set(`${contractAddress}-${operator}`.toLowerCase(), { type: 'NFT', contractAddress, operator, source: 'transaction' });
+          } else {
+            potentialApprovals.delete(`${contractAddress}-${operator}`.toLowerCase());
+          }
+        } else if (signature === EIP2612_PERMIT_SIGNATURE) {
+          // A reverted permit granted nothing; one replayed later shows up in the approval logs.
+          if (tx.isError === '1') continue;
+          const spender = args[1]; // Spender is the second argument in EIP-2612
+          const deadline = args[3]; // Deadline is the fourth argument
+
+          // Any earlier approval for the same pair is superseded by this permit, and vice versa.
+          potentialApprovals.set(`${contractAddress}-${spender}`.toLowerCase(), { type: 'Permit', contractAddress, spender, deadline: deadline.toString() });
+        } else if (signature === DAI_PERMIT_SIGNATURE) {
+          if (tx.isError === '1') continue;
+          const [, spender, , expiry, allowed] = args;
+          if (!allowed) {
+            potentialApprovals.delete(`${contractAddress}-${spender}`.toLowerCase());
+            continue;
+          }
+
+          // An expiry of 0 never expires.
+          const deadline = BigInt(expiry) === 0n ? MAX_UINT256 : expiry.toString();
+          potentialApprovals.set(`${contractAddress}-${spender}`.toLowerCase(), { type: 'Permit', contractAddress, spender, deadline });
+        } else if (isPermit2 && call.name === 'permit') {
+          // Permit2 AllowanceTransfer permit: one sub-allowance per token for the given spender
+          const { details, spender } = args[1];
+          const detailsList = Array.isArray(details[0]) ? details : [details];
+          detailsList.forEach(({ token }) => {
+            potentialApprovals.set(`permit2-${token}-${spender}`.toLowerCase(), { type: 'Permit2', tokenAddress: token, spender, source: 'transaction' });
+          });
+        } else if (isPermit2 && signature === 'approve(address,address,uint160,uint48)') {
+          const [token, spender] = args;
+          potentialApprovals.set(`permit2-${token}-${spender}`.toLowerCase(), { type: 'Permit2', tokenAddress: token, spender, source: 'transaction' });
+        }
       }
+    }
 
-      const parsedTx = BlockchainService.parseTransactionInput(tx.input, approvalInterface);
-      if (!parsedTx) {
+    // Merge in approvals reconstructed from Approval/ApprovalForAll logs. These cover allowances
+    // granted through routers, batches or third-party permits. The live on-chain check below
+    // decides whether each pair is still active, so a union of candidates is enough here.
+    const eventApprovals = ApprovalIndexerService.reduceApprovalLogs(wallet.transactionCache.approvalLogs || []);
+    for (const [key, approval] of eventApprovals) {
+      if (potentialApprovals.has(key) || !approval.isActive) {
         continue;
       }
-
-      const { name, args } = parsedTx;
-      const contractAddress = tx.to;
-
-      if (name === 'approve') {
-        const [spender, amount] = args;
-        // Store the latest approval amount for this token-spender pair
-        potentialApprovals.set(`${contractAddress}-${spender}`, { type: 'ERC20', contractAddress, spender, amount });
-      } else if (name === 'setApprovalForAll') {
-        const [operator, approved] = args;
-        if (approved) {
-          potentialApprovals.set(`${contractAddress}-${operator}`, { type: 'NFT', contractAddress, operator });
-        } else {
-          potentialApprovals.delete(`${contractAddress}-${operator}`);
-        }
-      } else if (name === 'permit') {
-        // This can be EIP-2612 or Permit2, we'll check args
-        const spender = args[1]; // Spender is consistently the second argument in EIP-2612
-        const deadline = args[3]; // Deadline is the fourth argument
-        
-        // Check if deadline is far in the future (e.g., > 1 year from now)
-        const oneYearFromNow = Math.floor(Date.now() / 1000) + 31536000;
-        const isLongLived = deadline && BigInt(deadline.toString()) > BigInt(oneYearFromNow);
-
-        if (isLongLived) {
-            potentialApprovals.set(`${contractAddress}-${spender}`, { type: 'Permit', contractAddress, spender, deadline: deadline.toString(), isLongLived });
-        }
-      } else if (name.toLowerCase().includes('permittransferfrom')) {
-        // This is a Permit2 interaction, which is a standing approval.
-        // The spender is the contract being interacted with (tx.to)
-        const spender = tx.to;
-        potentialApprovals.set(`${contractAddress}-${spender}`, { type: 'Permit2', contractAddress, spender });
+      if (approval.type === 'ERC20') {
+        potentialApprovals.set(key, { type: 'ERC20', contractAddress: approval.contractAddress, spender: approval.spender, amount: approval.amount, source: 'event' });
+      } else if (approval.type === 'NFT') {
+        potentialApprovals.set(key, { type: 'NFT', contractAddress: approval.contractAddress, operator: approval.operator, source: 'event' });
+      } else if (approval.type === 'Permit2') {
+        potentialApprovals.set(key, { type: 'Permit2', tokenAddress: approval.tokenAddress, spender: approval.spender, source: 'event' });
       }
     }
 
+    const tokenMetadata = await TokenMetadataService.getMetadataBatch(
+      Array.from(potentialApprovals.values()).map(a => a.contractAddress || a.tokenAddress),
+      wallet.chain
+    );
+
     const riskyApprovals = [];
     for (const [, approval] of potentialApprovals) {
       if (approval.type === 'ERC20') {
         const currentAllowance = await BlockchainService.getAllowance(approval.contractAddress, wallet.address, approval.spender, wallet.chain);
         if (currentAllowance > 0) {
           const isUnlimited = currentAllowance.toString() === MAX_UINT256;
+          const metadata = tokenMetadata.get(approval.contractAddress.toLowerCase());
           riskyApprovals.push({
             type: 'ERC20',
             tokenAddress: approval.contractAddress,
             spender: approval.spender,
-            allowance: ethers.formatUnits(currentAllowance, 18), // Assuming 18 decimals, could be improved
+            allowance: TokenMetadataService.formatAmount(currentAllowance, metadata),
+            allowanceRaw: currentAllowance.toString(),
+            allowanceDisplay: TokenMetadataService.formatDisplayAmount(currentAllowance, metadata),
+            tokenSymbol: metadata.symbol,
+            tokenDecimals: metadata.decimals,
             isUnlimited,
-            riskLevel: isUnlimited ? 'high' : 'medium',
+            source: approval.source,
             revoke: {
               target: approval.contractAddress,
-              calldata: approvalInterface.encodeFunctionData('approve', [approval.spender, 0]),
+              calldata: approvalInterface.encodeFunctionData('approve(address,uint256)', [approval.spender, 0]),
             }
           });
         }
@@ -120,41 +397,97 @@ const processApprovalAnalysis = async (job) => {
             type: 'NFT',
             contractAddress: approval.contractAddress,
             operator: approval.operator,
-            riskLevel: 'high',
+            source: approval.source,
             revoke: {
               target: approval.contractAddress,
               calldata: approvalInterface.encodeFunctionData('setApprovalForAll', [approval.operator, false]),
             }
           });
         }
-      } else if (approval.type === 'Permit' && approval.isLongLived) {
-        // For now, we assume a long-lived permit is an active risk.
-        // A more advanced check could try to verify the nonce.
+      } else if (approval.type === 'Permit') {
+        const { status, allowance } = await resolvePermitStatus(
+          { tokenAddress: approval.contractAddress, spender: approval.spender },
+          wallet.address,
+          wallet.chain
+        );
+
+        // Spent or revoked permit allowances are resolved and no longer reported.
+        if (status !== 'active') {
+          continue;
+        }
+
+        const metadata = tokenMetadata.get(approval.contractAddress.toLowerCase());
+        const isUnlimited = allowance.toString() === MAX_UINT256;
         riskyApprovals.push({
             type: 'Permit',
             tokenAddress: approval.contractAddress,
             spender: approval.spender,
-            deadline: new Date(approval.deadline * 1000).toISOString(),
-            riskLevel: 'medium',
-            isUnlimited: false, // Permit is for a specific amount, but can be long-lived
+            deadline: formatDeadline(approval.deadline),
+            permitStatus: status,
+            allowance: TokenMetadataService.formatAmount(allowance, metadata),
+            allowanceRaw: allowance.toString(),
+            allowanceDisplay: TokenMetadataService.formatDisplayAmount(allowance, metadata),
+            tokenSymbol: metadata.symbol,
+            tokenDecimals: metadata.decimals,
+            isUnlimited,
+            revoke: {
+              target: approval.contractAddress,
+              calldata: approvalInterface.encodeFunctionData('approve(address,uint256)', [approval.spender, 0]),
+            },
         });
       } else if (approval.type === 'Permit2') {
-        // Permit2 is a standing approval on the Permit2 contract itself.
-        // We can check the allowance on the Permit2 contract for the user's wallet.
-        // Note: This requires knowing the official Permit2 contract address.
-        // For now, we'll just flag the interaction as an informational risk.
+        // Permit2 sub-allowances live on the Permit2 contract itself, so read them from there.
+        const permit2Allowance = await BlockchainService.getPermit2Allowance(wallet.address, approval.tokenAddress, approval.spender, wallet.chain);
+        const now = Math.floor(Date.now() / 1000);
+        if (!permit2Allowance || permit2Allowance.amount === 0n || permit2Allowance.expiration <= now) {
+          continue;
+        }
+
+        // A sub-allowance is only usable while the token itself is approved to Permit2.
+        const tokenAllowanceToPermit2 = await BlockchainService.getAllowance(approval.tokenAddress, wallet.address, permit2Address, wallet.chain);
+        const neverExpires = BigInt(permit2Allowance.expiration) >= MAX_UINT48 || permit2Allowance.expiration - now > PERMIT2_NEVER_EXPIRES_SECONDS;
+        const isUnlimited = permit2Allowance.amount === MAX_UINT160;
+        const metadata = tokenMetadata.get(approval.tokenAddress.toLowerCase());
+        // Permit2 can move no more than the token allowance it has itself been granted
+        const effectiveAllowance = permit2Allowance.amount < tokenAllowanceToPermit2 ? permit2Allowance.amount : tokenAllowanceToPermit2;
+
         riskyApprovals.push({
-            type: 'Permit2 Interaction',
-            contractAddress: approval.contractAddress, // The contract that USES Permit2
-            spender: approval.spender,
-            riskLevel: 'medium',
-            isUnlimited: false,
+          type: 'Permit2',
+          tokenAddress: approval.tokenAddress,
+          spender: approval.spender,
+          permit2Address,
+          allowance: isUnlimited ? 'Unlimited' : TokenMetadataService.formatAmount(permit2Allowance.amount, metadata),
+          allowanceRaw: effectiveAllowance.toString(),
+          allowanceDisplay: isUnlimited ? `Unlimited${metadata.symbol ? ` ${metadata.symbol}` : ''}` : TokenMetadataService.formatDisplayAmount(permit2Allowance.amount, metadata),
+          tokenSymbol: metadata.symbol,
+          tokenDecimals: metadata.decimals,
+          expiration: formatDeadline(permit2Allowance.expiration),
+          neverExpires,
+          nonce: permit2Allowance.nonce,
+          isUnlimited,
+          isTokenApprovedToPermit2: tokenAllowanceToPermit2 > 0n,
+          source: approval.source,
+          revoke: {
+            target: permit2Address,
+            calldata: approvalInterface.encodeFunctionData('lockdown', [[[approval.tokenAddress, approval.spender]]]),
+          }
         });
       }
     }
 
     console.log(`[ApprovalWorker] Found ${riskyApprovals.length} active risky approvals for wallet: ${wallet.address}`);
 
+    // Rate each approval with the approval rules
+    for (const approval of riskyApprovals) {
+      const { riskLevel, findings } = await RuleEngineService.evaluateApproval(approval);
+      approval.riskLevel = riskLevel || 'medium';
+      approval.findings = findings;
+    }
+
+    // Value what each approval puts at risk and rank the findings by it
+    await ExposureService.enrichApprovals(riskyApprovals, wallet.address, wallet.chain);
+    const totalValueAtRiskUsd = ExposureService.getTotalValueAtRisk(riskyApprovals);
+
     // --- Enrich with Labels ---
     const addressesToLabel = new Set();
     riskyApprovals.forEach(approval => {
@@ -173,6 +506,7 @@ const processApprovalAnalysis = async (job) => {
 
     // Add labels to the risky approvals for the report
     riskyApprovals.forEach(approval => {
+      approval.id = getApprovalId(approval);
       if (approval.tokenAddress) approval.tokenLabel = getDisplayName(approval.tokenAddress);
       if (approval.contractAddress) approval.contractLabel = getDisplayName(approval.contractAddress);
       if (approval.spender) approval.spenderLabel = getDisplayName(approval.spender);
@@ -187,7 +521,7 @@ const processApprovalAnalysis = async (job) => {
     const currentApprovals = new Set();
     
     riskyApprovals.forEach(approval => {
-      const identifier = `${approval.type}-${approval.tokenAddress || approval.contractAddress}-${approval.spender || approval.operator}`.toLowerCase();
+      const identifier = approval.id;
       currentApprovals.add(identifier);
 
       // Check if this is a new, medium-to-high-risk approval
@@ -201,9 +535,11 @@ const processApprovalAnalysis = async (job) => {
         } else if (approval.type === 'NFT') {
             riskDescription = `Approval for the ENTIRE ${contractName} collection granted to ${spenderName}.`;
         } else if (approval.type === 'Permit') {
-            riskDescription = `Long-lived 'Permit' signature granted to ${spenderName} until ${new Date(approval.deadline).toLocaleDateString()}.`;
-        } else if (approval.type === 'Permit2 Interaction') {
-            riskDescription = `Interaction with ${contractName}, which may represent a standing approval via Permit2.`;
+            riskDescription = `A 'Permit' signature granted ${spenderName} an allowance that is still active.`;
+        } else if (approval.type === 'Permit2') {
+            riskDescription = approval.neverExpires
+              ? `Permit2 allowance granted to ${spenderName} that never expires.`
+              : `Permit2 allowance granted to ${spenderName} until ${new Date(approval.expiration).toLocaleDateString()}.`;
         }
 
         const message = `
@@ -214,7 +550,7 @@ Your wallet (*${wallet.label || wallet.address.substring(0, 6)}...*) has a new s
 
 - *Type:* ${approval.type}
 - *Contract:* ${contractName}
-- *Spender:* ${spenderName}
+- *Spender:* ${spenderName}${approval.allowanceDisplay ? `\n- *Allowance:* ${approval.allowanceDisplay}` : ''}${typeof approval.exposureUsd === 'number' ? `\n- *Value at risk:* $${approval.exposureUsd.toLocaleString('en-US')}` : ''}
 - *Risk:* ${riskDescription}
 
 If this is unexpected, review and consider revoking the approval.
@@ -231,14 +567,8 @@ If this is unexpected, review and consider revoking the approval.
     await wallet.save();
     // --- End of Stateful Notification Logic ---
 
-    if (riskyApprovals.length > 0) {
-      await Report.findOneAndUpdate(
-        { walletId: wallet._id },
-        { $set: { 'details.approvalAnalysis': { count: riskyApprovals.length, items: riskyApprovals } } },
-        { sort: { createdAt: -1 }, upsert: true }
-      );
-      console.log(`[ApprovalWorker] Updated report for wallet ${wallet.address}`);
-    }
+    await ScanRunService.recordSection(job, { count: riskyApprovals.length, totalValueAtRiskUsd, items: riskyApprovals });
+    console.log(`[ApprovalWorker] Recorded approval analysis for wallet ${wallet.address}`);
 
   } catch (error) {
     console.error(`[ApprovalWorker] Failed to process approvals for wallet ${wallet.address}:`, error.message);
@@ -252,5 +582,11 @@ createWorker(TASK_TYPE, processApprovalAnalysis);
 // Export constants for re-use in other services
 module.exports = {
   MAX_UINT256,
+  MAX_UINT160,
   APPROVAL_ABIS,
+  EIP2612_PERMIT_SIGNATURE,
+  DAI_PERMIT_SIGNATURE,
+  resolvePermitStatus,
+  extractApprovalCalls,
+  getApprovalId,
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { createWorker } = require('./workerRunner');
 const JobService = require('../services/JobService');
+const ScanRunService = require('../services/scanRun.service');
 const Wallet = require('../models/Wallet');
 
 const TASK_TYPE = 'full_scan';
@@ -18,9 +19,12 @@ const processFullScan = async (job) => {
 
   console.log(`[FullScanWorker] Starting full scan for wallet: ${wallet.address}`);
 
+  // Every analysis job of this scan stages its section on the run, which becomes the report snapshot.
+  const scanRun = await ScanRunService.start(walletId);
+
   // Instead of creating all analysis jobs, it now only creates the transaction fetching job.
   // The TransactionFetcher.worker will then trigger the individual analysis jobs.
-  await JobService.createJob(walletId, 'fetch_transactions');
+  await JobService.createJob(walletId, 'fetch_transactions', { scanRunId: scanRun._id });
 
   // The lastScanAt will be updated by the individual workers or a finalizer worker later.
   // For now, we can consider the "scan" initiated.
@@ -1,8 +1,12 @@
 const { createWorker } = require('./workerRunner');
 const Wallet = require('../models/Wallet');
-const Report = require('../models/Report');
+const ScanRunService = require('../services/scanRun.service');
 const BlockchainService = require('../services/blockchain.service');
+const NotificationService = require('../services/notification.service');
 const LabelService = require('../services/label.service');
+const LiquidityService = require('../services/liquidity.service');
+const StakingService = require('../services/staking.service');
+const User = require('../models/User');
 const { ethers } = require('ethers');
 
 const TASK_TYPE = 'analyze_lp_stake';
@@ -14,9 +18,22 @@ const LP_STAKE_ABIS = [
   'function stake(uint256 amount)',
   'function deposit(uint256 amount)',
   'function deposit(uint256 _value, address _to)',
+  'function deposit(uint256 _pid, uint256 _amount)', // MasterChef
+  // Uniswap V3 NonfungiblePositionManager
+  'function mint((address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline) params)',
+  'function increaseLiquidity((uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline) params)',
+  'function decreaseLiquidity((uint256 tokenId, uint128 liquidity, uint256 amount0Min, uint256 amount1Min, uint256 deadline) params)',
+  'function collect((uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max) params)',
+  'function multicall(bytes[] data)',
 ];
+const V3_POSITION_FUNCTIONS = new Set(['mint', 'increaseLiquidity', 'decreaseLiquidity', 'collect']);
 const lpStakeInterface = new ethers.Interface(LP_STAKE_ABIS);
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Staking positions left untouched for this many days trigger an idle alert
+const STAKE_IDLE_ALERT_DAYS = parseInt(process.env.STAKE_IDLE_ALERT_DAYS, 10) || 90;
+
 /**
  * Processes a single 'analyze_lp_stake' job by parsing transaction history.
  * @param {Job} job - The job object from the database.
@@ -34,37 +51,171 @@ const processLpStakeAnalysis = async (job) => {
   try {
     const transactions = wallet.transactionCache.txlist || [];
     const foundPositions = [];
-    const checkedContracts = new Set();
+    const stakingDeposits = new Map(); // contract (and MasterChef pool) -> first stake into it
+    const liquidityDeposits = new Map(); // pair -> earliest addLiquidity into it
+    const lastInteractions = new Map(); // contract -> latest transaction the wallet sent to it
+    const v3Positions = new Map(); // V3 position NFT id -> { opened, lastInteraction }
+    const positionManager = LiquidityService.getPositionManager(wallet.chain);
 
     for (const tx of transactions) {
-      if (tx.from.toLowerCase() !== wallet.address.toLowerCase() || !tx.to) {
+      if (tx.from.toLowerCase() !== wallet.address.toLowerCase() || !tx.to || tx.isError === '1') {
         continue;
       }
 
+      // Claims, withdrawals and compounding all count as touching the position.
+      const timestamp = parseInt(tx.timeStamp, 10);
+      const contractKey = tx.to.toLowerCase();
+      if (!Number.isNaN(timestamp) && timestamp > (lastInteractions.get(contractKey) || 0)) {
+        lastInteractions.set(contractKey, timestamp);
+      }
+
       const parsedTx = BlockchainService.parseTransactionInput(tx.input, lpStakeInterface);
       if (!parsedTx) {
         continue;
       }
 
       const contractAddress = tx.to;
-      // Avoid adding the same contract multiple times
-      if (checkedContracts.has(contractAddress)) {
+      if (positionManager && contractKey === positionManager.toLowerCase()) {
+        // The position manager is usually driven through multicall; every call but mint names its position.
+        const calls = parsedTx.name === 'multicall'
+          ? parsedTx.args[0].map(data => BlockchainService.parseTransactionInput(data, lpStakeInterface)).filter(Boolean)
+          : [parsedTx];
+        calls.filter(call => V3_POSITION_FUNCTIONS.has(call.name) && call.name !== 'mint').forEach(call => {
+          const entry = getV3Entry(v3Positions, call.args[0].tokenId.toString());
+          if (!entry.opened) entry.opened = { functionCalled: call.name, transactionHash: tx.hash, timestamp };
+          entry.lastInteraction = Math.max(entry.lastInteraction, timestamp || 0);
+        });
+        continue;
+      }
+      if (parsedTx.name === 'multicall' || V3_POSITION_FUNCTIONS.has(parsedTx.name)) {
+        continue;
+      }
+
+      if (parsedTx.name === 'addLiquidity' || parsedTx.name === 'addLiquidityETH') {
+        // The same router serves many pairs, so LP positions are tracked per pair.
+        const tokenB = parsedTx.name === 'addLiquidity' ? parsedTx.args[1] : null;
+        const pairAddress = await LiquidityService.resolvePair(contractAddress, parsedTx.args[0], tokenB, wallet.chain);
+        if (!pairAddress) {
+          continue;
+        }
+        const pairKey = pairAddress.toLowerCase();
+        const existing = liquidityDeposits.get(pairKey);
+        if (!existing || timestamp < existing.timestamp) {
+          liquidityDeposits.set(pairKey, { pairAddress, contractAddress, functionCalled: parsedTx.name, transactionHash: tx.hash, timestamp });
+        }
+        continue;
+      }
+
+      // MasterChef pools share one contract, so they are told apart by pool id.
+      const pid = parsedTx.signature === 'deposit(uint256,uint256)' ? parsedTx.args[0] : null;
+      const stakeKey = pid !== null ? `${contractKey}-${pid}` : contractKey;
+      if (stakingDeposits.has(stakeKey)) {
+        continue;
+      }
+      stakingDeposits.set(stakeKey, { contractAddress, pid, functionCalled: parsedTx.name, transactionHash: tx.hash });
+    }
+
+    // Position NFTs received from the position manager, whether minted by the wallet or sent to it.
+    if (positionManager) {
+      const walletAddress = wallet.address.toLowerCase();
+      (wallet.transactionCache.tokennfttx || [])
+        .filter(transfer => transfer.contractAddress && transfer.contractAddress.toLowerCase() === positionManager.toLowerCase()
+          && transfer.to && transfer.to.toLowerCase() === walletAddress)
+        .forEach(transfer => {
+          const timestamp = parseInt(transfer.timeStamp, 10);
+          const entry = getV3Entry(v3Positions, transfer.tokenID);
+          const isMint = transfer.from === ethers.ZeroAddress;
+          if (!entry.opened || (timestamp < entry.opened.timestamp)) {
+            entry.opened = { functionCalled: isMint ? 'mint' : 'transfer', transactionHash: transfer.hash, timestamp };
+          }
+          entry.lastInteraction = Math.max(entry.lastInteraction, timestamp || 0);
+        });
+    }
+
+    // Read every staking position and keep those still funded. Contracts no staking adapter
+    // understands are kept as plain interactions, since their balance cannot be checked.
+    for (const deposit of stakingDeposits.values()) {
+      const position = await StakingService.getPosition(deposit.contractAddress, wallet.address, wallet.chain, { pid: deposit.pid });
+      if (!position) {
+        foundPositions.push({
+          contractAddress: deposit.contractAddress,
+          functionCalled: deposit.functionCalled,
+          transactionHash: deposit.transactionHash,
+          tokens: [],
+        });
+        continue;
+      }
+      if (position.stakedAmountRaw === '0') {
+        continue;
+      }
+
+      const lastInteraction = lastInteractions.get(deposit.contractAddress.toLowerCase());
+      const lastInteractionAt = lastInteraction ? new Date(lastInteraction * 1000) : null;
+      const idleDays = lastInteractionAt ? Math.floor((Date.now() - lastInteractionAt.getTime()) / DAY_MS) : null;
+      foundPositions.push({
+        contractAddress: deposit.contractAddress,
+        functionCalled: deposit.functionCalled,
+        transactionHash: deposit.transactionHash,
+        ...position,
+        tokens: [],
+        lastInteractionAt: lastInteractionAt ? lastInteractionAt.toISOString() : null,
+        idleDays,
+        isIdle: idleDays !== null && idleDays >= STAKE_IDLE_ALERT_DAYS,
+      });
+    }
+
+    // Value every LP position and keep only those the wallet is still funding.
+    for (const deposit of liquidityDeposits.values()) {
+      const position = await LiquidityService.getV2Position(deposit.pairAddress, wallet.address, wallet.chain);
+      if (!position || position.lpBalance === '0') {
         continue;
       }
-      checkedContracts.add(contractAddress);
+      const openedAt = Number.isNaN(deposit.timestamp) ? null : new Date(deposit.timestamp * 1000);
+      foundPositions.push({
+        contractAddress: deposit.contractAddress,
+        functionCalled: deposit.functionCalled,
+        transactionHash: deposit.transactionHash,
+        pairAddress: deposit.pairAddress,
+        lpBalance: position.lpBalance,
+        sharePercent: position.sharePercent,
+        tokens: position.tokens,
+        valueUsd: position.valueUsd,
+        openedAt: openedAt ? openedAt.toISOString() : null,
+        ageDays: openedAt ? Math.floor((Date.now() - openedAt.getTime()) / DAY_MS) : null,
+      });
+    }
 
+    // V3 positions stay listed while they hold liquidity or fees that were never collected.
+    for (const [tokenId, entry] of v3Positions) {
+      const position = await LiquidityService.getV3Position(tokenId, wallet.address, wallet.chain);
+      if (!position || (position.liquidity === '0' && !position.hasUncollectedFees)) {
+        continue;
+      }
+      const opened = entry.opened || {};
+      const openedAt = opened.timestamp ? new Date(opened.timestamp * 1000) : null;
+      const lastInteractionAt = entry.lastInteraction ? new Date(entry.lastInteraction * 1000) : null;
+      const idleDays = lastInteractionAt ? Math.floor((Date.now() - lastInteractionAt.getTime()) / DAY_MS) : null;
       foundPositions.push({
-        contractAddress: contractAddress,
-        functionCalled: parsedTx.name,
-        transactionHash: tx.hash,
+        contractAddress: position.positionManager,
+        functionCalled: opened.functionCalled || null,
+        transactionHash: opened.transactionHash || null,
+        positionType: 'uniswap-v3',
+        ...position,
+        isOutOfRange: position.inRange === false && position.liquidity !== '0',
+        openedAt: openedAt ? openedAt.toISOString() : null,
+        ageDays: openedAt ? Math.floor((Date.now() - openedAt.getTime()) / DAY_MS) : null,
+        lastInteractionAt: lastInteractionAt ? lastInteractionAt.toISOString() : null,
+        idleDays,
+        // Untouched for as long as an idle staking position, or emptied with fees left behind.
+        isForgotten: (idleDays !== null && idleDays >= STAKE_IDLE_ALERT_DAYS) || position.liquidity === '0',
       });
     }
 
-    console.log(`[LpStakeWorker] Found ${foundPositions.length} potential LP/Staking interactions.`);
+    console.log(`[LpStakeWorker] Found ${foundPositions.length} funded LP and staking positions.`);
 
-    if (foundPositions.length > 0) {
+    if (foundPositions.length > 0 || liquidityDeposits.size > 0 || stakingDeposits.size > 0 || v3Positions.size > 0) {
       // Enrich with labels
-      const addressesToLabel = foundPositions.map(p => p.contractAddress);
+      const addressesToLabel = foundPositions.flatMap(p => [p.contractAddress, p.pairAddress].filter(Boolean));
       const labels = await LabelService.getLabels(addressesToLabel, wallet.chain);
       const getDisplayName = (address) => {
         if (!address) return 'Unknown';
@@ -74,25 +225,76 @@ const processLpStakeAnalysis = async (job) => {
 
       foundPositions.forEach(p => {
         p.label = getDisplayName(p.contractAddress);
+        if (p.pairAddress) p.pairLabel = getDisplayName(p.pairAddress);
       });
 
-      // Here, we just identify the interaction. A full implementation would then
-      // query the user's balance or staked amount in these contracts.
-      // For MVP, identifying the potential platform is a huge step.
-      await Report.findOneAndUpdate(
-        { walletId: wallet._id },
-        { $set: { 'details.lpStakeAnalysis': { count: foundPositions.length, items: foundPositions } } },
-        { sort: { createdAt: -1 }, upsert: true }
-      );
-      console.log(`[LpStakeWorker] Updated report for wallet ${wallet.address} with LP/Stake analysis.`);
+      await notifyIdlePositions(wallet, foundPositions);
     }
 
+    // Recorded even when every position has been withdrawn, so stale positions drop out.
+    await ScanRunService.recordSection(job, { count: foundPositions.length, items: foundPositions });
+    console.log(`[LpStakeWorker] Recorded LP/Stake analysis for wallet ${wallet.address}.`);
+
   } catch (error) {
     console.error(`[LpStakeWorker] Failed to process LP/Stake analysis for wallet ${wallet.address}:`, error.message);
     throw error;
   }
 };
 
+/**
+ * Returns the tracking entry of a V3 position NFT, creating it on first sight.
+ * @param {Map<string, object>} v3Positions - Entries keyed by token id.
+ * @param {string} tokenId - The position NFT id.
+ * @returns {object} The entry ({ opened, lastInteraction }).
+ */
+const getV3Entry = (v3Positions, tokenId) => {
+  if (!v3Positions.has(tokenId)) {
+    v3Positions.set(tokenId, { opened: null, lastInteraction: 0 });
+  }
+  return v3Positions.get(tokenId);
+};
+
+/**
+ * Alerts the wallet owner once about each staking position that has gone idle, and remembers
+ * the alerted positions so the alert is not repeated until the position is touched again.
+ * @param {Wallet} wallet - The wallet document.
+ * @param {object[]} positions - The labelled positions found by the analysis.
+ */
+const notifyIdlePositions = async (wallet, positions) => {
+  const idlePositions = positions.filter(p => p.isIdle);
+  const previousIdle = new Set(wallet.lastAnalysisState.idlePositions || []);
+  const currentIdle = new Set();
+  const user = await User.findById(wallet.userId);
+
+  idlePositions.forEach(position => {
+    const identifier = position.pid !== undefined ? `${position.contractAddress.toLowerCase()}-${position.pid}` : position.contractAddress.toLowerCase();
+    currentIdle.add(identifier);
+    if (previousIdle.has(identifier) || !user || !user.telegramChatId) {
+      return;
+    }
+
+    const rewardLines = position.rewards
+      .filter(reward => reward.amountRaw !== '0')
+      .map(reward => `\n- *Unclaimed rewards:* ${reward.amountDisplay}${typeof reward.valueUsd === 'number' ? ` ($${reward.valueUsd.toLocaleString('en-US')})` : ''}`)
+      .join('');
+    const message = `
+
+💤 *Idle Staking Position* 💤
+
+Your wallet (*${wallet.label || wallet.address.substring(0, 6)}...*) has a staking position that has not been touched in ${position.idleDays} days:
+
+- *Contract:* ${position.label}
+- *Staked:* ${position.stakedAmountDisplay}${typeof position.stakedValueUsd === 'number' ? ` ($${position.stakedValueUsd.toLocaleString('en-US')})` : ''}${rewardLines}
+
+Consider claiming the rewards or withdrawing if you no longer use this protocol.
+    `;
+    NotificationService.sendTelegramMessage(user.telegramChatId, message);
+  });
+
+  wallet.lastAnalysisState.idlePositions = Array.from(currentIdle);
+  await wallet.save();
+};
+
 // Create and start the worker
 createWorker(TASK_TYPE, processLpStakeAnalysis);
 
@@ -0,0 +1,82 @@
+const RevokeAction = require('../models/RevokeAction');
+const Wallet = require('../models/Wallet');
+const ActionService = require('../services/ActionService');
+const JobService = require('../services/JobService');
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+// Checks that may fail with an error before the revoke is marked as failed
+const MAX_FAILED_CHECKS = 10;
+
+let isProcessing = false;
+
+/**
+ * Settles pending revoke actions against the chain and queues a fresh approval analysis for
+ * every wallet that confirmed a revoke, so the revoked findings drop out of its report.
+ */
+async function processPendingRevokes() {
+  if (isProcessing) {
+    return;
+  }
+  isProcessing = true;
+
+  try {
+    // Least recently checked first, so unmined or failing actions cannot hold the batch forever
+    const pendingActions = await RevokeAction.find({ status: 'pending' }).sort({ lastCheckedAt: 1, createdAt: 1 }).limit(BATCH_SIZE);
+    const walletsToReanalyze = new Map();
+
+    for (const action of pendingActions) {
+      action.lastCheckedAt = new Date();
+      try {
+        const outcome = await ActionService.verifyRevokeAction(action);
+        if (!outcome) {
+          await action.save();
+          continue; // Not mined yet, check again on the next run
+        }
+
+        action.status = outcome.status;
+        action.failureReason = outcome.failureReason;
+        action.blockNumber = outcome.blockNumber;
+        action.verifiedAt = new Date();
+        await action.save();
+        console.log(`[RevokeConfirmation] Revoke ${action.txHash} marked as ${outcome.status}${outcome.failureReason ? `: ${outcome.failureReason}` : ''}`);
+
+        if (outcome.status === 'success') {
+          walletsToReanalyze.set(`${action.walletAddress}-${action.chain}`, action);
+        }
+      } catch (error) {
+        console.error(`[RevokeConfirmation] Error verifying revoke ${action.txHash}:`, error.message);
+        // The action stays pending and is checked again later, unless it keeps failing
+        action.failedChecks += 1;
+        if (action.failedChecks >= MAX_FAILED_CHECKS) {
+          action.status = 'failed';
+          action.failureReason = `Could not be verified after ${action.failedChecks} attempts: ${error.message}`;
+          action.verifiedAt = new Date();
+        }
+        try {
+          await action.save();
+        } catch (saveError) {
+          console.error(`[RevokeConfirmation] Could not record the failed check of revoke ${action.txHash}:`, saveError.message);
+        }
+      }
+    }
+
+    for (const action of walletsToReanalyze.values()) {
+      const wallets = await Wallet.find({ address: action.walletAddress.toLowerCase(), chain: action.chain }).select('_id');
+      for (const wallet of wallets) {
+        await JobService.createJob(wallet._id, 'analyze_approvals');
+      }
+    }
+  } catch (error) {
+    console.error('[RevokeConfirmation] Critical error in processing loop:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+function start() {
+  console.log('[RevokeConfirmation] Starting revoke confirmation worker...');
+  setInterval(processPendingRevokes, CHECK_INTERVAL_MS);
+}
+
+module.exports = { start };
@@ -0,0 +1,233 @@
+const { createWorker } = require('./workerRunner');
+const Wallet = require('../models/Wallet');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const ScanRunService = require('../services/scanRun.service');
+const BlockchainService = require('../services/blockchain.service');
+const ProxyResolverService = require('../services/proxyResolver.service');
+const ContractAnalysisService = require('../services/contractAnalysis.service');
+const NotificationService = require('../services/notification.service');
+const LabelService = require('../services/label.service');
+const { ethers } = require('ethers');
+
+const TASK_TYPE = 'watch_upgrades';
+
+// Events emitted by EIP-1967 proxies and beacons when their code or admin changes
+const UPGRADE_EVENTS = new ethers.Interface([
+  'event Upgraded(address indexed implementation)',
+  'event AdminChanged(address previousAdmin, address newAdmin)',
+  'event BeaconUpgraded(address indexed beacon)',
+]);
+const UPGRADE_TOPICS = ['Upgraded', 'AdminChanged', 'BeaconUpgraded'].map(name => UPGRADE_EVENTS.getEvent(name).topicHash);
+// The events that swap the code, as opposed to the admin
+const CODE_UPGRADE_TOPICS = new Set(['Upgraded', 'BeaconUpgraded'].map(name => UPGRADE_EVENTS.getEvent(name).topicHash));
+
+// EIP-1167 clones cannot change, so they are not worth watching
+const IMMUTABLE_PROXY_TYPES = new Set(['eip1167']);
+
+/**
+ * Processes a single 'watch_upgrades' job. Resolves every spender the wallet approved and every
+ * contract it interacted with, compares each proxy's implementation and admin with the last
+ * recorded state and with the upgrade logs emitted since, and re-analyzes and reports the
+ * proxies whose code or admin changed.
+ * @param {Job} job - The job object from the database.
+ */
+const processUpgradeWatch = async (job) => {
+  const { walletId } = job;
+  const wallet = await Wallet.findById(walletId);
+
+  if (!wallet) {
+    throw new Error(`Wallet with ID ${walletId} not found.`);
+  }
+
+  console.log(`[UpgradeWatchWorker] Checking proxies for upgrades for wallet: ${wallet.address}`);
+
+  try {
+    // Spenders from the latest snapshot, as this scan's approval analysis may still be running
+    const report = await Report.findOne({ walletId: wallet._id }).sort({ createdAt: -1 }).select('details.approvalAnalysis').lean();
+    const approvals = (report && report.details && report.details.approvalAnalysis && report.details.approvalAnalysis.items) || [];
+    const spenders = new Set(approvals.map(a => a.spender || a.operator).filter(Boolean).map(a => a.toLowerCase()));
+    const interactedContracts = (wallet.transactionCache.txlist || [])
+      .filter(tx => tx.to && tx.from && tx.from.toLowerCase() === wallet.address.toLowerCase())
+      .map(tx => tx.to.toLowerCase());
+    const candidates = [...new Set([...spenders, ...interactedContracts])];
+
+    const blockNumber = await BlockchainService.getBlockNumber(wallet.chain);
+    const previousProxies = new Map((wallet.lastAnalysisState.proxies || []).map(p => [p.address, p]));
+    const currentProxies = [];
+    const unresolved = new Set(); // Proxies kept at their recorded state because resolving them failed
+    for (const address of candidates) {
+      const previous = previousProxies.get(address);
+      let proxy;
+      try {
+        proxy = await ProxyResolverService.resolve(address, wallet.chain, { throwOnError: true });
+      } catch (error) {
+        // Dropping it would leave no state to compare against, hiding an upgrade made in between
+        console.warn(`[UpgradeWatchWorker] Could not resolve ${address}, keeping its recorded state. Error: ${error.message}`);
+        if (previous) {
+          currentProxies.push({ ...previous, holdsApproval: spenders.has(address) });
+          unresolved.add(address);
+        }
+        continue;
+      }
+      if (!proxy.isProxy || IMMUTABLE_PROXY_TYPES.has(proxy.proxyType)) continue;
+      // An address that cannot be read (e.g. a getter failing) is not taken for a change
+      currentProxies.push({
+        address,
+        proxyType: proxy.proxyType,
+        implementationAddress: proxy.implementationAddress ? proxy.implementationAddress.toLowerCase() : (previous ? previous.implementationAddress : null),
+        adminAddress: proxy.adminAddress ? proxy.adminAddress.toLowerCase() : (previous ? previous.adminAddress : null),
+        beaconAddress: proxy.beaconAddress ? proxy.beaconAddress.toLowerCase() : null,
+        holdsApproval: spenders.has(address),
+      });
+    }
+
+    const upgradeLogs = await getUpgradeLogs(currentProxies, previousProxies, wallet.lastAnalysisState.proxiesCheckedBlock, blockNumber, wallet.chain);
+
+    // A proxy changed if its implementation or admin differs from the recorded state, or if it
+    // (or its beacon) logged an upgrade in between, even one that was later rolled back.
+    const changes = [];
+    for (const proxy of currentProxies) {
+      const previous = previousProxies.get(proxy.address);
+      if (!previous || unresolved.has(proxy.address)) continue;
+
+      const logs = upgradeLogs.filter(log => log.address === proxy.address || (proxy.beaconAddress && log.address === proxy.beaconAddress));
+      const implementationChanged = previous.implementationAddress !== proxy.implementationAddress;
+      const adminChanged = previous.adminAddress !== proxy.adminAddress;
+      if (!implementationChanged && !adminChanged && logs.length === 0) continue;
+      const upgradeLogged = logs.some(log => CODE_UPGRADE_TOPICS.has(log.topics[0]));
+
+      const analysis = await ContractAnalysisService.analyzeContract(proxy.address, wallet.chain, { force: true });
+      changes.push({
+        ...proxy,
+        previousImplementationAddress: previous.implementationAddress,
+        previousAdminAddress: previous.adminAddress,
+        implementationChanged,
+        adminChanged,
+        upgradeLogged,
+        transactionHashes: [...new Set(logs.map(log => log.transactionHash))],
+        detectedAt: new Date().toISOString(),
+        analysis: summarizeAnalysis(analysis),
+      });
+    }
+
+    console.log(`[UpgradeWatchWorker] Watching ${currentProxies.length} proxies, ${changes.length} changed since the last check.`);
+
+    if (changes.length > 0) {
+      await notifyUpgrades(wallet, changes);
+    }
+
+    wallet.lastAnalysisState.proxies = currentProxies;
+    wallet.lastAnalysisState.proxiesCheckedBlock = blockNumber;
+    await wallet.save();
+
+    await ScanRunService.recordSection(job, { count: changes.length, watchedProxies: currentProxies.length, items: changes });
+  } catch (error) {
+    console.error(`[UpgradeWatchWorker] Failed to check upgrades for wallet ${wallet.address}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Reads the Upgraded/AdminChanged/BeaconUpgraded logs emitted by the previously watched proxies
+ * and their beacons since the last check. Nothing is read on the first check.
+ * @param {object[]} currentProxies - The proxies resolved now.
+ * @param {Map<string, object>} previousProxies - The proxies recorded last time, by address.
+ * @param {number|undefined} checkedBlock - The block the last check ran at.
+ * @param {number} blockNumber - The current block.
+ * @param {string} chain - The blockchain name.
+ * @returns {Promise<object[]>} The logs, with lowercase emitter addresses.
+ */
+const getUpgradeLogs = async (currentProxies, previousProxies, checkedBlock, blockNumber, chain) => {
+  const watched = currentProxies.filter(p => previousProxies.has(p.address));
+  if (!checkedBlock || checkedBlock >= blockNumber || watched.length === 0) {
+    return [];
+  }
+
+  const addresses = [...new Set(watched.flatMap(p => [p.address, p.beaconAddress].filter(Boolean)))];
+  try {
+    const logs = await BlockchainService.getLogs({
+      address: addresses,
+      topics: [UPGRADE_TOPICS],
+      fromBlock: checkedBlock + 1,
+      toBlock: blockNumber,
+    }, chain);
+    return logs.map(log => ({ ...log, address: log.address.toLowerCase() }));
+  } catch (error) {
+    // The state comparison alone still catches every upgrade that was not rolled back.
+    console.warn(`[UpgradeWatchWorker] Could not read upgrade logs. Error: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Keeps the parts of a contract analysis worth showing next to an upgrade.
+ * @param {object} analysis - The ContractAnalysis document.
+ * @returns {object}
+ */
+const summarizeAnalysis = (analysis) => {
+  const details = (analysis && analysis.analysis) || {};
+  const simulation = details.honeypotSimulation || {};
+  return {
+    sourceCodeVerified: !!details.sourceCodeVerified,
+    highRisks: (details.risks && details.risks.HIGH) || [],
+    mediumRisks: (details.risks && details.risks.MEDIUM) || [],
+    isHoneypot: simulation.simulated ? simulation.isHoneypot : null,
+  };
+};
+
+/**
+ * Sends the wallet owner a before/after summary of every upgraded proxy.
+ * @param {Wallet} wallet - The wallet document.
+ * @param {object[]} changes - The detected changes.
+ */
+const notifyUpgrades = async (wallet, changes) => {
+  const user = await User.findById(wallet.userId);
+  if (!user || !user.telegramChatId) {
+    return;
+  }
+
+  const labels = await LabelService.getLabels(changes.map(c => c.address), wallet.chain);
+  const getDisplayName = (address) => {
+    if (!address) return 'none';
+    const label = labels.get(address.toLowerCase());
+    return label && label !== 'Unknown' ? label : `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+  };
+
+  for (const change of changes) {
+    const lines = [];
+    if (change.implementationChanged) {
+      lines.push(`- *Implementation:* ${getDisplayName(change.previousImplementationAddress)} → ${getDisplayName(change.implementationAddress)}`);
+    } else if (change.upgradeLogged) {
+      lines.push(`- *Implementation:* upgraded and restored to ${getDisplayName(change.implementationAddress)}`);
+    }
+    if (change.adminChanged) {
+      lines.push(`- *Admin:* ${getDisplayName(change.previousAdminAddress)} → ${getDisplayName(change.adminAddress)}`);
+    } else if (!change.implementationChanged && !change.upgradeLogged) {
+      // Only AdminChanged logs, with the admin back to what it was
+      lines.push(`- *Admin:* changed and restored to ${getDisplayName(change.adminAddress)}`);
+    }
+    if (change.implementationChanged || change.upgradeLogged) {
+      lines.push(`- *New code:* ${change.analysis.sourceCodeVerified ? 'verified' : '*not verified*'}${change.analysis.highRisks.length > 0 ? `, high risks: ${change.analysis.highRisks.join(', ')}` : ''}`);
+    }
+    if (change.analysis.isHoneypot) {
+      lines.push('- *Honeypot:* selling the token now fails or is heavily taxed');
+    }
+
+    const message = `
+
+🔄 *Contract Upgraded* 🔄
+
+A contract your wallet (*${wallet.label || wallet.address.substring(0, 6)}...*) ${change.holdsApproval ? 'has approved' : 'has interacted with'} changed its code or admin:
+
+- *Contract:* ${getDisplayName(change.address)} (\`${change.address}\`)
+${lines.join('\n')}
+
+${change.holdsApproval ? 'Your approval now applies to the new code. Review it and revoke the approval if you no longer trust this contract.' : 'Review the new code before interacting with this contract again.'}
+    `;
+    NotificationService.sendTelegramMessage(user.telegramChatId, message);
+  }
+};
+
+// Create and start the worker
+createWorker(TASK_TYPE, processUpgradeWatch);
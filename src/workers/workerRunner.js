@@ -1,4 +1,5 @@
 const JobService = require('../services/JobService');
+const ScanRunService = require('../services/scanRun.service');
 
 /**
  * A generic runner for processing jobs from the queue.
@@ -21,6 +22,7 @@ const createWorker = (taskType, processFunction, interval = 5000) => {
         } catch (error) {
           console.error(`[Worker][${taskType}] Error processing job ${job._id}:`, error.message);
           await JobService.failJob(job._id);
+          await ScanRunService.recordFailure(job);
         }
       }
     } catch (error) {